@@ -6,34 +6,18 @@
  * Returns: Tenant domain (e.g., "contoso")
  */
 
-const fs = require('fs');
-const path = require('path');
+const { loadCredentials } = require('./lib/credentials');
+const { fail } = require('./lib/cli');
 
-const envPath = path.join(process.env.HOME, '.config/bobby/sharepoint.env');
+try {
+  const { tenant } = loadCredentials();
 
-if (!fs.existsSync(envPath)) {
-  console.error('ERROR: SharePoint credentials not found. Run setup.js first.');
-  process.exit(1);
-}
-
-const envContent = fs.readFileSync(envPath, 'utf8');
-const credentials = {};
-
-envContent.split('\n').forEach(line => {
-  const match = line.match(/^([^=]+)=(.*)$/);
-  if (match) {
-    credentials[match[1].trim()] = match[2].trim().replace(/^['"]|['"]$/g, '');
+  if (!tenant) {
+    console.error('ERROR: No tenant configured. Run setup.js first.');
+    process.exit(1);
   }
-});
 
-const tenantId = credentials.TEAMS_TENANT_ID || credentials.TENANT || credentials.SHAREPOINT_TENANT;
-
-if (!tenantId) {
-  console.error('ERROR: No tenant configured. Run setup.js first.');
-  process.exit(1);
+  console.log(tenant);
+} catch (err) {
+  fail(err);
 }
-
-// Extract tenant name from domain (e.g., "contoso.onmicrosoft.com" -> "contoso")
-const tenant = tenantId.replace('.onmicrosoft.com', '');
-
-console.log(tenant);
@@ -0,0 +1,289 @@
+/**
+ * SharePoint Archives
+ * Zip and tar writers for bulk downloads, using only zlib
+ *
+ * The format follows the output name: .zip, .tar, or .tar.gz/.tgz. Zip
+ * entries are deflated; archives of 4GB or more need tar (no zip64).
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { ValidationError } = require('./errors');
+
+const ARCHIVE_FORMATS = [
+  { format: 'zip', extensions: ['.zip'] },
+  { format: 'tgz', extensions: ['.tar.gz', '.tgz'] },
+  { format: 'tar', extensions: ['.tar'] }
+];
+
+// Largest size or offset a zip without zip64 extensions can record
+const ZIP_LIMIT = 0xffffffff;
+
+// Largest size that fits the 11 octal digits of a tar header
+const TAR_SIZE_LIMIT = 0o77777777777;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Archive format for an output path, or null if it isn't an archive name.
+ *
+ * @returns {'zip'|'tar'|'tgz'|null}
+ */
+function archiveFormat(outputPath) {
+  const name = outputPath.toLowerCase();
+  const match = ARCHIVE_FORMATS.find(({ extensions }) => extensions.some(ext => name.endsWith(ext)));
+
+  return match ? match.format : null;
+}
+
+/**
+ * Write local files into an archive. The archive is written next to the
+ * output path and renamed into place when complete.
+ *
+ * @param {string} outputPath - .zip, .tar, .tar.gz or .tgz
+ * @param {Object[]} entries - {name, filePath, mtime}: name is the path
+ *   inside the archive ("/" separated), mtime a Date
+ */
+async function writeArchive(outputPath, entries) {
+  const format = archiveFormat(outputPath);
+
+  if (!format) {
+    throw new ValidationError(`Not an archive name: ${outputPath}`, 'Use a .zip, .tar, .tar.gz or .tgz file name');
+  }
+
+  const files = entries.map(entry => ({ ...entry, size: fs.statSync(entry.filePath).size }));
+
+  if (format === 'zip') {
+    checkZipLimits(files);
+  }
+
+  const streams = [Readable.from(format === 'zip' ? zipChunks(files) : tarChunks(files))];
+
+  if (format === 'tgz') {
+    streams.push(zlib.createGzip());
+  }
+
+  const tempPath = `${outputPath}.part`;
+
+  try {
+    await pipeline(...streams, fs.createWriteStream(tempPath));
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+
+  fs.renameSync(tempPath, outputPath);
+}
+
+function checkZipLimits(files) {
+  // Deflate can grow incompressible data slightly, hence the margin
+  const total = files.reduce((sum, file) => sum + file.size * 1.01 + 1024, 0);
+
+  if (files.length > 0xffff || total >= ZIP_LIMIT) {
+    throw new ValidationError('Too much data for a zip archive (4GB or 65535 files)',
+      'Use a .tar or .tar.gz archive instead');
+  }
+}
+
+async function* tarChunks(files) {
+  for (const file of files) {
+    const pax = [];
+    let name = file.name;
+
+    if (Buffer.byteLength(name) > 100) {
+      pax.push(paxRecord('path', name));
+      name = name.slice(-100);
+    }
+
+    if (file.size > TAR_SIZE_LIMIT) {
+      pax.push(paxRecord('size', String(file.size)));
+    }
+
+    if (pax.length > 0) {
+      const data = Buffer.from(pax.join(''));
+      yield tarHeader({ name: 'PaxHeader', size: data.length, mtime: file.mtime, type: 'x' });
+      yield padToBlock(data);
+    }
+
+    yield tarHeader({ name, size: Math.min(file.size, TAR_SIZE_LIMIT), mtime: file.mtime, type: '0' });
+
+    let written = 0;
+
+    for await (const chunk of fs.createReadStream(file.filePath)) {
+      written += chunk.length;
+      yield chunk;
+    }
+
+    if (written % 512 !== 0) {
+      yield Buffer.alloc(512 - (written % 512));
+    }
+  }
+
+  // End of archive: two empty blocks
+  yield Buffer.alloc(1024);
+}
+
+function tarHeader({ name, size, mtime, type }) {
+  const header = Buffer.alloc(512);
+
+  header.write(name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write(type, 156);
+  header.write('ustar\u000000', 257);
+
+  // Checksum of the header with the checksum field taken as spaces
+  header.fill(' ', 148, 156);
+  let sum = 0;
+
+  for (const byte of header) {
+    sum += byte;
+  }
+  header.write(`${sum.toString(8).padStart(6, '0')}\u0000 `, 148);
+
+  return header;
+}
+
+function writeOctal(buffer, value, offset, length) {
+  buffer.write(`${value.toString(8).padStart(length - 1, '0')}\u0000`, offset, length);
+}
+
+/**
+ * PAX extended header record: "<length> <key>=<value>\n", where the
+ * length counts its own digits.
+ */
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + 1;
+
+  while (length !== bodyLength + String(length).length) {
+    length = bodyLength + String(length).length;
+  }
+
+  return `${length}${body}`;
+}
+
+function padToBlock(data) {
+  const padding = (512 - (data.length % 512)) % 512;
+  return Buffer.concat([data, Buffer.alloc(padding)]);
+}
+
+async function* zipChunks(files) {
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const { time, date } = dosDateTime(file.mtime);
+
+    // Sizes and CRC follow the data (flag bit 3); names are UTF-8 (bit 11)
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(0x0808, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(name.length, 26);
+
+    const localOffset = offset;
+    yield header;
+    yield name;
+    offset += header.length + name.length;
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+    const deflate = zlib.createDeflateRaw();
+
+    const input = pipeline(fs.createReadStream(file.filePath), async function* (source) {
+      for await (const chunk of source) {
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        yield chunk;
+      }
+    }, deflate);
+
+    // A read error destroys the deflate stream, which ends this loop
+    input.catch(() => {});
+
+    for await (const chunk of deflate) {
+      compressedSize += chunk.length;
+      yield chunk;
+    }
+    await input;
+
+    offset += compressedSize;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    yield descriptor;
+    offset += descriptor.length;
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0808, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressedSize, 20);
+    entry.writeUInt32LE(size, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(localOffset, 42);
+    central.push(entry, name);
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  yield directory;
+  yield end;
+}
+
+// zlib.crc32 only exists from Node 20.15
+const crc32 = zlib.crc32 || function (buffer, previous = 0) {
+  let crc = previous ^ 0xffffffff;
+
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * MS-DOS date and time fields (local time, 2-second resolution).
+ */
+function dosDateTime(mtime) {
+  const year = Math.max(mtime.getFullYear(), 1980);
+
+  return {
+    time: (mtime.getHours() << 11) | (mtime.getMinutes() << 5) | (mtime.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((mtime.getMonth() + 1) << 5) | mtime.getDate()
+  };
+}
+
+module.exports = { archiveFormat, writeArchive };
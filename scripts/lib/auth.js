@@ -0,0 +1,433 @@
+/**
+ * SharePoint Authentication
+ * OAuth2 against login.microsoftonline.com in one of two modes:
+ *
+ *   app        Client credentials flow (app-only), with either a client
+ *              secret or a certificate (signed JWT client assertion)
+ *   delegated  Device code flow: acts as the signed-in user, with only
+ *              that user's permissions (AUTH_MODE=delegated)
+ *
+ * Tokens are cached in ~/.config/bobby/sharepoint-token-cache.json (mode
+ * 0600), keyed by tenant, client and scope, and reused until shortly
+ * before they expire. Delegated sign-ins also keep their refresh token
+ * there, so the user only signs in again when it expires or is revoked.
+ */
+
+const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG_PATH } = require('./credentials');
+const { ConfigError, AuthError } = require('./errors');
+
+const GRAPH_SCOPE = 'https://graph.microsoft.com/.default';
+const TOKEN_CACHE_PATH = path.join(path.dirname(CONFIG_PATH), 'sharepoint-token-cache.json');
+
+// Treat tokens as expired this long before expires_in runs out, so a token
+// handed to a script doesn't lapse in the middle of a request
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Delegated permissions requested when DELEGATED_SCOPES isn't configured.
+// None of these need admin consent.
+const DEFAULT_DELEGATED_SCOPES = 'Sites.ReadWrite.All Files.ReadWrite.All';
+
+/**
+ * POST a form to one of the tenant's v2.0 OAuth endpoints.
+ *
+ * @param {string} tenantId
+ * @param {Object} params - Form fields
+ * @param {string} [endpoint='token'] - 'token' or 'devicecode'
+ * @returns {Promise<Object>} Parsed response
+ */
+function postTokenRequest(tenantId, params, endpoint = 'token') {
+  return new Promise((resolve, reject) => {
+    const postData = new URLSearchParams(params).toString();
+
+    const options = {
+      hostname: 'login.microsoftonline.com',
+      port: 443,
+      path: `/${tenantId}/oauth2/v2.0/${endpoint}`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new AuthError('Token request failed', { status: res.statusCode, body: data }));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (err) {
+          // e.g. the HTML page of a proxy or captive portal
+          reject(new AuthError('Invalid token response (not JSON)', { status: res.statusCode, body: data }));
+        }
+      });
+    });
+
+    req.on('error', reject);
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Load the certificate and private key configured for client assertion
+ * auth. Both may live in the same PEM file.
+ *
+ * @returns {{certificate: crypto.X509Certificate, privateKey: crypto.KeyObject}}
+ */
+function loadCertificate(credentials) {
+  let certificate;
+  let privateKey;
+
+  try {
+    certificate = new crypto.X509Certificate(fs.readFileSync(credentials.certificatePath));
+  } catch (err) {
+    throw new ConfigError(
+      `Could not read certificate ${credentials.certificatePath}: ${err.message}`,
+      'TEAMS_CERTIFICATE_PATH must point to a PEM-encoded X.509 certificate'
+    );
+  }
+
+  try {
+    privateKey = crypto.createPrivateKey({
+      key: fs.readFileSync(credentials.privateKeyPath || credentials.certificatePath),
+      passphrase: credentials.privateKeyPassphrase
+    });
+  } catch (err) {
+    throw new ConfigError(
+      `Could not read private key ${credentials.privateKeyPath || credentials.certificatePath}: ${err.message}`,
+      'TEAMS_PRIVATE_KEY_PATH must point to the PEM private key for the certificate'
+    );
+  }
+
+  if (!certificate.checkPrivateKey(privateKey)) {
+    throw new ConfigError('Private key does not match the configured certificate');
+  }
+
+  return { certificate, privateKey };
+}
+
+/**
+ * Build a signed JWT client assertion for the token endpoint.
+ *
+ * The thumbprint header (x5t) tells Entra ID which of the app's uploaded
+ * certificates to verify the signature with.
+ */
+function buildClientAssertion(credentials) {
+  const { certificate, privateKey } = loadCertificate(credentials);
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = {
+    alg: 'RS256',
+    typ: 'JWT',
+    x5t: base64url(crypto.createHash('sha1').update(certificate.raw).digest())
+  };
+
+  const payload = {
+    aud: `https://login.microsoftonline.com/${credentials.tenantId}/oauth2/v2.0/token`,
+    iss: credentials.clientId,
+    sub: credentials.clientId,
+    jti: crypto.randomUUID(),
+    nbf: now,
+    iat: now,
+    exp: now + 10 * 60
+  };
+
+  const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), privateKey);
+
+  return `${unsigned}.${base64url(signature)}`;
+}
+
+/**
+ * Request an app-only token for Microsoft Graph, authenticating with the
+ * configured certificate if there is one and the client secret otherwise.
+ *
+ * @param {Object} credentials - { tenantId, clientId, clientSecret } or
+ *   { tenantId, clientId, certificatePath, privateKeyPath, privateKeyPassphrase }
+ * @returns {Promise<Object>} Token response ({ access_token, expires_in, ... })
+ */
+function requestToken(credentials) {
+  if (!credentials.tenantId) {
+    return Promise.reject(new ConfigError(
+      'Missing TEAMS_TENANT_ID or TENANT in sharepoint.env',
+      'Run setup.js to configure credentials'
+    ));
+  }
+
+  if (!credentials.clientId || (!credentials.clientSecret && !credentials.certificatePath)) {
+    return Promise.reject(new ConfigError(
+      'Missing TEAMS_CLIENT_ID/CLIENT_ID, or both TEAMS_CLIENT_SECRET/CLIENT_SECRET and TEAMS_CERTIFICATE_PATH/CLIENT_CERTIFICATE_PATH in sharepoint.env',
+      'Run setup.js to configure credentials'
+    ));
+  }
+
+  const params = {
+    grant_type: 'client_credentials',
+    client_id: credentials.clientId,
+    scope: GRAPH_SCOPE
+  };
+
+  if (credentials.certificatePath) {
+    try {
+      params.client_assertion_type = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+      params.client_assertion = buildClientAssertion(credentials);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  } else {
+    params.client_secret = credentials.clientSecret;
+  }
+
+  return postTokenRequest(credentials.tenantId, params);
+}
+
+function cacheKey(credentials, scope) {
+  return `${credentials.tenantId}|${credentials.clientId}|${scope}`;
+}
+
+function readTokenCache() {
+  try {
+    return JSON.parse(fs.readFileSync(TOKEN_CACHE_PATH, 'utf8'));
+  } catch (err) {
+    // Missing or corrupt cache: start empty
+    return {};
+  }
+}
+
+function writeTokenCache(cache) {
+  // Write to a private temp file and rename, so readers never see a
+  // partial file and the cache is never world-readable
+  const tmpPath = `${TOKEN_CACHE_PATH}.${process.pid}.tmp`;
+
+  fs.mkdirSync(path.dirname(TOKEN_CACHE_PATH), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(tmpPath, JSON.stringify(cache, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, TOKEN_CACHE_PATH);
+}
+
+/**
+ * Store a token in the cache, dropping entries that have expired and have
+ * no refresh token to renew them.
+ */
+function storeToken(key, entry) {
+  const cache = readTokenCache();
+  cache[key] = entry;
+
+  Object.keys(cache).forEach(k => {
+    if (cache[k].expiresAt <= Date.now() && !cache[k].refreshToken) {
+      delete cache[k];
+    }
+  });
+
+  try {
+    writeTokenCache(cache);
+  } catch (err) {
+    // Caching is an optimisation: a read-only config dir shouldn't fail auth
+  }
+}
+
+/**
+ * OAuth error code (e.g. "authorization_pending") from a failed token
+ * request, if the body carried one.
+ */
+function tokenErrorCode(err) {
+  try {
+    return JSON.parse(err.body).error;
+  } catch (parseErr) {
+    return undefined;
+  }
+}
+
+function delegatedScope(credentials) {
+  return `${credentials.delegatedScopes || DEFAULT_DELEGATED_SCOPES} offline_access`;
+}
+
+/**
+ * Sign in with the device code flow: show the user a code to enter at
+ * microsoft.com/devicelogin, then poll until they finish signing in.
+ *
+ * @param {Object} credentials - { tenantId, clientId, delegatedScopes }
+ * @param {Function} onPrompt - Receives the sign-in instructions
+ * @returns {Promise<Object>} Token response including refresh_token
+ */
+async function requestDeviceCodeToken(credentials, onPrompt) {
+  const device = await postTokenRequest(credentials.tenantId, {
+    client_id: credentials.clientId,
+    scope: delegatedScope(credentials)
+  }, 'devicecode');
+
+  onPrompt(device.message);
+
+  let interval = (device.interval || 5) * 1000;
+  const deadline = Date.now() + device.expires_in * 1000;
+
+  while (Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, interval));
+
+    try {
+      return await postTokenRequest(credentials.tenantId, {
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+        client_id: credentials.clientId,
+        device_code: device.device_code
+      });
+    } catch (err) {
+      const code = tokenErrorCode(err);
+
+      if (code === 'authorization_pending') {
+        continue;
+      }
+      if (code === 'slow_down') {
+        interval += 5000;
+        continue;
+      }
+      throw err;
+    }
+  }
+
+  throw new AuthError('Device code expired before sign-in was completed');
+}
+
+/**
+ * Get a delegated access token: cached, renewed with the stored refresh
+ * token, or (when neither works) obtained by a new device code sign-in.
+ */
+async function getDelegatedToken(credentials, { forceRefresh, login, interactive, onPrompt }) {
+  if (!credentials.tenantId || !credentials.clientId) {
+    throw new ConfigError(
+      'Missing TEAMS_TENANT_ID/TENANT or TEAMS_CLIENT_ID/CLIENT_ID in sharepoint.env',
+      'Run setup.js to configure credentials'
+    );
+  }
+
+  const scope = delegatedScope(credentials);
+  const key = cacheKey(credentials, `delegated:${scope}`);
+  const cached = readTokenCache()[key];
+
+  if (!forceRefresh && !login && cached && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return cached.accessToken;
+  }
+
+  let token = null;
+
+  if (cached?.refreshToken && !login) {
+    try {
+      token = await postTokenRequest(credentials.tenantId, {
+        grant_type: 'refresh_token',
+        client_id: credentials.clientId,
+        refresh_token: cached.refreshToken,
+        scope
+      });
+    } catch (err) {
+      // Refresh token expired or revoked: the user has to sign in again
+      if (tokenErrorCode(err) !== 'invalid_grant') {
+        throw err;
+      }
+    }
+  }
+
+  if (!token) {
+    if (!interactive) {
+      const err = new AuthError('Not signed in (delegated mode)');
+      err.hint = 'Run: node scripts/sharepoint-auth.js --login';
+      throw err;
+    }
+    token = await requestDeviceCodeToken(credentials, onPrompt);
+  }
+
+  storeToken(key, {
+    accessToken: token.access_token,
+    expiresAt: Date.now() + token.expires_in * 1000,
+    // Refresh responses may omit a new refresh token: keep the old one
+    refreshToken: token.refresh_token || cached?.refreshToken,
+    scope: token.scope
+  });
+
+  return token.access_token;
+}
+
+/**
+ * Forget the delegated sign-in (access and refresh token) for these
+ * credentials.
+ */
+function signOut(credentials) {
+  const cache = readTokenCache();
+  delete cache[cacheKey(credentials, `delegated:${delegatedScope(credentials)}`)];
+  writeTokenCache(cache);
+}
+
+/**
+ * Get an access token string for Microsoft Graph, from the cache when a
+ * valid one is available.
+ *
+ * @param {Object} credentials - See requestToken(); authMode 'delegated'
+ *   uses the device code flow instead
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false] - Ignore any cached access token
+ * @param {boolean} [options.login=false] - Delegated: sign in again even if a
+ *   refresh token is stored
+ * @param {boolean} [options.interactive=true] - Delegated: allow a device code
+ *   sign-in when no usable refresh token is stored
+ * @param {Function} [options.onPrompt] - Delegated: receives the sign-in
+ *   instructions (default: printed to stderr)
+ * @returns {Promise<string>}
+ */
+async function getAccessToken(credentials, options = {}) {
+  const {
+    forceRefresh = false,
+    login = false,
+    interactive = true,
+    onPrompt = message => console.error(message)
+  } = options;
+
+  if (credentials.authMode === 'delegated') {
+    return getDelegatedToken(credentials, { forceRefresh, login, interactive, onPrompt });
+  }
+
+  const key = cacheKey(credentials, GRAPH_SCOPE);
+  const cached = readTokenCache()[key];
+
+  if (!forceRefresh && cached && cached.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return cached.accessToken;
+  }
+
+  const token = await requestToken(credentials);
+
+  storeToken(key, {
+    accessToken: token.access_token,
+    expiresAt: Date.now() + token.expires_in * 1000
+  });
+
+  return token.access_token;
+}
+
+module.exports = {
+  GRAPH_SCOPE,
+  DEFAULT_DELEGATED_SCOPES,
+  TOKEN_CACHE_PATH,
+  loadCertificate,
+  buildClientAssertion,
+  requestToken,
+  getAccessToken,
+  signOut
+};
@@ -0,0 +1,86 @@
+/**
+ * SharePoint Check-out
+ * Check-out and check-in of files in libraries that require it, and
+ * lookup of who has a file checked out
+ */
+
+const { GraphError } = require('./errors');
+
+// listItem field holding the user a file is checked out to (a lookup
+// into the site's User Information List)
+const CHECKOUT_USER_FIELD = 'CheckoutUser';
+
+async function checkOut(client, driveId, itemId) {
+  try {
+    await client.request('POST', `/drives/${driveId}/items/${itemId}/checkout`);
+  } catch (err) {
+    throw new GraphError('Check-out failed', err);
+  }
+}
+
+/**
+ * Check a file back in.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.comment] - Version comment
+ * @param {boolean} [opts.publish] - Check in as a published (major) version
+ */
+async function checkIn(client, driveId, itemId, { comment, publish } = {}) {
+  const body = { comment: comment || '' };
+
+  if (publish) {
+    body.checkInAs = 'published';
+  }
+
+  try {
+    await client.request('POST', `/drives/${driveId}/items/${itemId}/checkin`, { body });
+  } catch (err) {
+    throw new GraphError('Check-in failed', err);
+  }
+}
+
+/**
+ * Undo a check-out, dropping any changes made while checked out.
+ */
+async function discardCheckout(client, driveId, itemId) {
+  try {
+    await client.request('POST', `/drives/${driveId}/items/${itemId}/discardCheckout`);
+  } catch (err) {
+    throw new GraphError('Discarding the check-out failed', err);
+  }
+}
+
+/**
+ * Create a function that turns CheckoutUser lookup IDs into
+ * "Name <email>", one request per user.
+ *
+ * @param {Object} client - Graph client (lib/graph-client)
+ * @param {string} siteId
+ * @returns {Function} async (lookupId) => string
+ */
+function createUserResolver(client, siteId) {
+  const cache = new Map();
+  const usersList = encodeURIComponent('User Information List');
+
+  return (lookupId) => {
+    if (!cache.has(lookupId)) {
+      const target = `/sites/${siteId}/lists/${usersList}/items/${lookupId}?$expand=fields($select=Title,EMail)`;
+
+      cache.set(lookupId, client.request('GET', target).then(
+        ({ fields }) => (fields.EMail ? `${fields.Title} <${fields.EMail}>` : fields.Title),
+        // Listing the user isn't worth failing for
+        () => `User #${lookupId}`
+      ));
+    }
+
+    return cache.get(lookupId);
+  };
+}
+
+module.exports = {
+  CHECKOUT_USER_FIELD,
+  checkOut,
+  checkIn,
+  discardCheckout,
+  createUserResolver
+};
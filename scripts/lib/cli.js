@@ -0,0 +1,98 @@
+/**
+ * SharePoint CLI Helpers
+ * Shared argument parsing and error reporting for the command-line scripts
+ */
+
+const { parseArgs } = require('util');
+
+// Exit code for writes rejected because the remote item changed or already
+// exists (HTTP 409/412), so callers can tell them apart from other failures
+const EXIT_CONFLICT = 3;
+
+// Exit code for content that doesn't match the remote file's size or hash
+const EXIT_MISMATCH = 4;
+
+/**
+ * Parse process.argv with util.parseArgs. On unknown or malformed options,
+ * print the error and the script's usage, then exit.
+ *
+ * @param {Object} options - util.parseArgs option definitions
+ * @param {Function} usage - Prints the script's usage to stderr
+ * @returns {{values: Object, positionals: string[]}}
+ */
+function parseCommandLine(options, usage) {
+  try {
+    return parseArgs({ args: process.argv.slice(2), options, allowPositionals: true });
+  } catch (err) {
+    console.error(`ERROR: ${err.message}`);
+    console.error('');
+    usage();
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse a positive integer option value, exiting with an error otherwise.
+ */
+function parsePositiveInt(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    console.error(`ERROR: ${name} must be a positive integer`);
+    process.exit(1);
+  }
+
+  return number;
+}
+
+/**
+ * Whether a Graph error means the write was refused because of the remote
+ * item's state (name already taken, or eTag no longer matching).
+ */
+function isConflictError(err) {
+  // Asynchronous operations (copy) report the conflict as a failed status
+  return err.status === 409 || err.status === 412 || err.code === 'nameAlreadyExists';
+}
+
+/**
+ * Print an error in the scripts' usual "ERROR: ..." format and exit.
+ *
+ * @param {Error} err
+ * @param {number} [exitCode=1]
+ */
+function fail(err, exitCode = 1) {
+  console.error(`ERROR: ${err.message}`);
+
+  if (err.status) {
+    console.error(`Status: ${err.status}`);
+  }
+
+  if (err.code && err.name === 'GraphError') {
+    console.error(`Code: ${err.code}`);
+  }
+
+  if (err.requestId) {
+    console.error(`Request ID: ${err.requestId}`);
+  }
+
+  if (err.body) {
+    console.error(typeof err.body === 'string' ? err.body : JSON.stringify(err.body, null, 2));
+  }
+
+  if (err.expected !== undefined) {
+    console.error(`Expected: ${err.expected}`);
+    console.error(`Actual:   ${err.actual}`);
+  }
+
+  if (err.hint) {
+    console.error(err.hint);
+  }
+
+  process.exit(exitCode);
+}
+
+module.exports = { EXIT_CONFLICT, EXIT_MISMATCH, parseCommandLine, parsePositiveInt, isConflictError, fail };
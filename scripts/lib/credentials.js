@@ -0,0 +1,78 @@
+/**
+ * SharePoint Credentials
+ * Reads ~/.config/bobby/sharepoint.env once per process
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+const CONFIG_PATH = path.join(process.env.HOME, '.config/bobby/sharepoint.env');
+
+let cached = null;
+
+/**
+ * Parse KEY=value lines, stripping surrounding quotes.
+ */
+function parseEnv(content) {
+  const values = {};
+
+  content.split('\n').forEach(line => {
+    const match = line.match(/^([^=]+)=(.*)$/);
+    if (match) {
+      values[match[1].trim()] = match[2].trim().replace(/^['"]|['"]$/g, '');
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Expand a leading ~/ in configured file paths.
+ */
+function expandHome(filePath) {
+  return filePath ? filePath.replace(/^~(?=\/|$)/, process.env.HOME) : filePath;
+}
+
+/**
+ * Load credentials from sharepoint.env.
+ *
+ * @returns {{tenantId: string, tenant: string, clientId: string,
+ *   clientSecret: string, certificatePath: string, privateKeyPath: string,
+ *   privateKeyPassphrase: string, authMode: string, delegatedScopes: string,
+ *   values: Object}}
+ */
+function loadCredentials() {
+  if (cached) {
+    return cached;
+  }
+
+  if (!fs.existsSync(CONFIG_PATH)) {
+    throw new ConfigError(
+      `SharePoint credentials not found (expected: ${CONFIG_PATH})`,
+      'Run setup.js to configure credentials'
+    );
+  }
+
+  const values = parseEnv(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  const tenantId = values.TEAMS_TENANT_ID || values.TENANT || values.SHAREPOINT_TENANT;
+
+  cached = {
+    tenantId,
+    // Tenant name from domain (e.g., "contoso.onmicrosoft.com" -> "contoso")
+    tenant: tenantId ? tenantId.replace('.onmicrosoft.com', '') : undefined,
+    clientId: values.TEAMS_CLIENT_ID || values.CLIENT_ID,
+    clientSecret: values.TEAMS_CLIENT_SECRET || values.CLIENT_SECRET,
+    certificatePath: expandHome(values.TEAMS_CERTIFICATE_PATH || values.CLIENT_CERTIFICATE_PATH),
+    privateKeyPath: expandHome(values.TEAMS_PRIVATE_KEY_PATH || values.CLIENT_PRIVATE_KEY_PATH),
+    privateKeyPassphrase: values.TEAMS_PRIVATE_KEY_PASSPHRASE || values.CLIENT_PRIVATE_KEY_PASSPHRASE,
+    // 'app' (client credentials) or 'delegated' (device code sign-in)
+    authMode: (values.TEAMS_AUTH_MODE || values.AUTH_MODE || 'app').toLowerCase(),
+    delegatedScopes: values.DELEGATED_SCOPES,
+    values
+  };
+
+  return cached;
+}
+
+module.exports = { CONFIG_PATH, parseEnv, expandHome, loadCredentials };
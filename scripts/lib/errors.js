@@ -0,0 +1,94 @@
+/**
+ * SharePoint Skill Errors
+ * Error classes thrown by the shared library. CLIs catch these and report
+ * them through cli.fail().
+ */
+
+/**
+ * Missing or incomplete sharepoint.env configuration.
+ */
+class ConfigError extends Error {
+  constructor(message, hint) {
+    super(message);
+    this.name = 'ConfigError';
+    this.hint = hint;
+  }
+}
+
+/**
+ * Input that doesn't fit what SharePoint expects (e.g. a field value that
+ * doesn't match its column type).
+ */
+class ValidationError extends Error {
+  constructor(message, hint) {
+    super(message);
+    this.name = 'ValidationError';
+    this.hint = hint;
+  }
+}
+
+/**
+ * Transferred content that doesn't match what SharePoint reports for the
+ * item (size or content hash).
+ */
+class IntegrityError extends Error {
+  constructor(message, { expected, actual, hint } = {}) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.expected = expected;
+    this.actual = actual;
+    this.hint = hint;
+  }
+}
+
+/**
+ * Token request rejected by login.microsoftonline.com.
+ */
+class AuthError extends Error {
+  constructor(message, { status, body } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Non-success response from Microsoft Graph.
+ */
+class GraphError extends Error {
+  constructor(message, { status, code, requestId, body } = {}) {
+    super(message);
+    this.name = 'GraphError';
+    this.status = status;
+    this.code = code;
+    // Quote this in Microsoft support cases
+    this.requestId = requestId;
+    this.body = body;
+  }
+
+  static fromResponse(res, data, message) {
+    let body = data;
+    let code;
+    let requestId = res.headers?.['request-id'];
+
+    try {
+      body = JSON.parse(data);
+      code = body.error?.code;
+      requestId = requestId || body.error?.innerError?.['request-id'];
+    } catch (err) {
+      // Not JSON: keep the raw text
+    }
+
+    const detail = body?.error?.message ? `: ${body.error.message}` : '';
+
+    return new GraphError(message || `Request failed with status ${res.statusCode}${detail}`, {
+      status: res.statusCode,
+      code,
+      requestId,
+      body
+    });
+  }
+}
+
+module.exports = { ConfigError, ValidationError, IntegrityError, AuthError, GraphError };
@@ -0,0 +1,82 @@
+/**
+ * SharePoint Glob Matching
+ * Minimal glob patterns for filtering remote paths
+ *
+ *   *      any characters except /
+ *   **     any characters including / (whole path segments)
+ *   ?      one character except /
+ *   {a,b}  either alternative
+ *
+ * Patterns without a / match the item name; patterns with a / match the
+ * path relative to the listed folder. Matching is case-insensitive, like
+ * SharePoint itself.
+ */
+
+/**
+ * Compile a glob pattern to a RegExp.
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // "**/" also matches zero directories
+        if (pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Build a predicate from include/exclude pattern lists.
+ *
+ * @param {string[]} [include] - If given, at least one must match
+ * @param {string[]} [exclude] - None may match
+ * @returns {Function} (name, relativePath) => boolean
+ */
+function createMatcher(include = [], exclude = []) {
+  const compile = patterns => patterns.map(pattern => ({
+    regexp: globToRegExp(pattern),
+    byPath: pattern.includes('/')
+  }));
+
+  const includes = compile(include);
+  const excludes = compile(exclude);
+
+  const test = (rule, name, relativePath) => rule.regexp.test(rule.byPath ? relativePath : name);
+
+  return (name, relativePath) => {
+    if (excludes.some(rule => test(rule, name, relativePath))) {
+      return false;
+    }
+    return includes.length === 0 || includes.some(rule => test(rule, name, relativePath));
+  };
+}
+
+module.exports = { globToRegExp, createMatcher };
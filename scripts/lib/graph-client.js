@@ -0,0 +1,650 @@
+/**
+ * SharePoint Graph Client
+ * Promise-based Microsoft Graph client shared by all SharePoint scripts
+ *
+ * Usage (from Node):
+ *   const { createClient } = require('./scripts/lib/graph-client');
+ *
+ *   const client = createClient();
+ *   const siteId = await client.getSiteId('TeamSite');
+ *   const driveId = await client.getDriveId(siteId);
+ *   const children = await client.request('GET', `/drives/${driveId}/root/children`);
+ *
+ * Credentials are read once from ~/.config/bobby/sharepoint.env unless
+ * passed in explicitly.
+ */
+
+const https = require('https');
+const { loadCredentials } = require('./credentials');
+const { getAccessToken } = require('./auth');
+const { GraphError } = require('./errors');
+const {
+  MANAGED_PATHS,
+  NON_LIBRARY_SEGMENTS,
+  isUrl,
+  parseLocationUrl,
+  splitPath,
+  joinRemotePath,
+  encodeSharingUrl
+} = require('./locations');
+
+const GRAPH_BASE_URL = 'https://graph.microsoft.com/v1.0';
+
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 2 * 60 * 1000;
+const OPERATION_POLL_MS = 1000;
+const MAX_OPERATION_POLL_MS = 10 * 1000;
+
+// Socket-level failures that are usually gone on the next attempt
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Collect a response body into a string.
+ */
+function readBody(res) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+
+    res.on('data', (chunk) => {
+      data += chunk;
+    });
+
+    res.on('end', () => resolve(data));
+    res.on('error', reject);
+  });
+}
+
+/**
+ * Whether an error is a socket-level failure (dropped or refused
+ * connection, timeout) rather than, say, a local file error.
+ */
+function isNetworkError(err) {
+  return RETRYABLE_ERROR_CODES.includes(err.code);
+}
+
+/**
+ * Statuses worth retrying: throttling and transient server errors.
+ * 501 (not implemented) and 505 won't change on a retry.
+ */
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status !== 501 && status !== 505);
+}
+
+function parseMaxRetries(value) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : DEFAULT_MAX_RETRIES;
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), if any.
+ */
+function retryAfterDelay(res) {
+  const header = res.headers['retry-after'];
+
+  if (!header) {
+    return undefined;
+  }
+
+  const seconds = Number(header);
+  const delay = Number.isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+
+  return Number.isNaN(delay) ? undefined : Math.max(delay, 0);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay up to 1s, 2s, 4s...
+ * capped at MAX_BACKOFF_MS, so parallel clients don't retry in lockstep.
+ */
+function backoffDelay(attempt) {
+  return Math.round(Math.random() * Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS));
+}
+
+function formatDelay(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * The library's URL segment, e.g. "Shared Documents" for the default
+ * library whose display name may be localized ("Documents", "Dokumente").
+ */
+function driveUrlName(drive) {
+  const segment = new URL(drive.webUrl).pathname.split('/').filter(Boolean).pop() || '';
+  return decodeURIComponent(segment);
+}
+
+/**
+ * Create a Graph client.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.credentials] - Defaults to sharepoint.env
+ * @param {string} [options.accessToken] - Use this token instead of requesting one
+ * @param {boolean} [options.forceRefresh] - Ignore cached tokens on first use
+ * @param {boolean} [options.interactive=false] - Delegated: allow a device
+ *   code sign-in when not signed in (otherwise an AuthError says to run
+ *   sharepoint-auth.js --login)
+ * @param {number} [options.maxRetries] - Retry ceiling for throttled and
+ *   failed requests (default: $SHAREPOINT_MAX_RETRIES or 5; 0 disables)
+ * @param {Function} [options.onRetry] - Receives a message before each
+ *   retry (default: printed to stderr)
+ * @returns {Object} Client with request/stream and site/drive resolution
+ */
+function createClient(options = {}) {
+  const credentials = options.credentials || loadCredentials();
+  const maxRetries = options.maxRetries ?? parseMaxRetries(process.env.SHAREPOINT_MAX_RETRIES);
+  const onRetry = options.onRetry || (message => console.error(`  ${message}`));
+  let tokenPromise = options.accessToken ? Promise.resolve(options.accessToken) : null;
+  let forceRefresh = !!options.forceRefresh;
+  const interactive = !!options.interactive;
+
+  function getToken() {
+    if (!tokenPromise) {
+      tokenPromise = getAccessToken(credentials, { forceRefresh, interactive });
+      forceRefresh = false;
+      // Allow a later call to retry after a failed token request
+      tokenPromise.catch(() => {
+        tokenPromise = null;
+      });
+    }
+    return tokenPromise;
+  }
+
+  /**
+   * Resolve a Graph path (relative to /v1.0) or an absolute URL.
+   */
+  function toUrl(target) {
+    return new URL(/^https:\/\//.test(target) ? target : `${GRAPH_BASE_URL}${target}`);
+  }
+
+  /**
+   * Send a single request and resolve with the raw response once headers
+   * arrive.
+   */
+  async function sendOnce(method, target, { body, headers = {}, auth = true, retriedAuth = false } = {}) {
+    const url = toUrl(target);
+    const requestHeaders = { ...headers };
+    let payload = body;
+
+    if (auth) {
+      requestHeaders['Authorization'] = `Bearer ${await getToken()}`;
+    }
+
+    if (payload !== undefined && !Buffer.isBuffer(payload) && typeof payload !== 'string') {
+      payload = JSON.stringify(payload);
+      requestHeaders['Content-Type'] = requestHeaders['Content-Type'] || 'application/json';
+    }
+
+    if (payload !== undefined) {
+      requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const res = await new Promise((resolve, reject) => {
+      const req = https.request(url, { method, headers: requestHeaders }, resolve);
+
+      req.on('error', reject);
+
+      // A stalled connection would otherwise hang forever
+      req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+        const err = new Error(`Request timed out after ${REQUEST_TIMEOUT_MS / 1000}s`);
+        err.code = 'ETIMEDOUT';
+        req.destroy(err);
+      });
+
+      if (payload !== undefined) {
+        req.write(payload);
+      }
+      req.end();
+    });
+
+    // A cached token may have been revoked before it expired: fetch a new
+    // one and try once more
+    if (res.statusCode === 401 && auth && !retriedAuth && !options.accessToken) {
+      res.resume();
+      tokenPromise = null;
+      forceRefresh = true;
+      return sendOnce(method, target, { body, headers, auth, retriedAuth: true });
+    }
+
+    return res;
+  }
+
+  /**
+   * Send a request and resolve with the raw response once headers arrive.
+   *
+   * Throttling (429), transient server errors (5xx) and dropped
+   * connections are retried up to maxRetries times, waiting for
+   * Retry-After when the server sends it and exponential backoff with
+   * jitter otherwise. Once retries are exhausted the last response is
+   * returned (or the last network error thrown) for the caller to report.
+   *
+   * @param {string} method
+   * @param {string} target - Graph path or absolute URL
+   * @param {Object} [opts]
+   * @param {Object|Buffer|string} [opts.body] - Objects are sent as JSON
+   * @param {Object} [opts.headers]
+   * @param {boolean} [opts.auth=true] - Set false for pre-authenticated URLs
+   * @param {boolean} [opts.retry=true] - Set false to handle failures yourself
+   */
+  async function send(method, target, opts = {}) {
+    const { retry = true } = opts;
+
+    for (let attempt = 0; ; attempt++) {
+      const canRetry = retry && attempt < maxRetries;
+      let res;
+
+      try {
+        res = await sendOnce(method, target, opts);
+      } catch (err) {
+        if (!canRetry || !isNetworkError(err)) {
+          throw err;
+        }
+
+        const delay = backoffDelay(attempt);
+        onRetry(`${err.message}, retrying in ${formatDelay(delay)} (${attempt + 1}/${maxRetries})`);
+        await sleep(delay);
+        continue;
+      }
+
+      if (!canRetry || !isRetryableStatus(res.statusCode)) {
+        return res;
+      }
+
+      res.resume();
+
+      const delay = retryAfterDelay(res) ?? backoffDelay(attempt);
+      onRetry(`Status ${res.statusCode}, retrying in ${formatDelay(delay)} (${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Send a request and parse the JSON response.
+   *
+   * @returns {Promise<Object|null>} Parsed body, or null for empty responses
+   * @throws {GraphError} On non-2xx status
+   */
+  async function request(method, target, opts = {}) {
+    const res = await send(method, target, { ...opts, headers: { 'Accept': 'application/json', ...opts.headers } });
+    const data = await readBody(res);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw GraphError.fromResponse(res, data);
+    }
+
+    if (!data) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (err) {
+      throw new GraphError('Invalid JSON response', { status: res.statusCode, body: data });
+    }
+  }
+
+  /**
+   * Send a request and resolve with the response stream. Redirects (e.g. to
+   * the pre-authenticated download URL) are followed without credentials.
+   *
+   * @returns {Promise<http.IncomingMessage>}
+   * @throws {GraphError} On non-2xx status
+   */
+  async function stream(method, target, opts = {}) {
+    let res = await send(method, target, opts);
+    let redirects = 0;
+
+    while ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+      if (++redirects > 5) {
+        throw new GraphError('Too many redirects', { status: res.statusCode });
+      }
+      res.resume();
+      res = await send('GET', new URL(res.headers.location, toUrl(target)).href, {
+        headers: opts.headers,
+        auth: false
+      });
+    }
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw GraphError.fromResponse(res, await readBody(res));
+    }
+
+    return res;
+  }
+
+  /**
+   * GET a collection and follow @odata.nextLink until it is exhausted or
+   * `limit` items have been collected.
+   *
+   * @param {string} target - Graph path or absolute URL of the first page
+   * @param {Object} [opts]
+   * @param {number} [opts.limit=Infinity] - Maximum number of items to return
+   * @param {Object} [opts.headers] - Extra request headers for every page
+   * @returns {Promise<{items: Object[], complete: boolean, nextLink: string}>}
+   *   `complete` is false when more items exist than were returned
+   * @throws {GraphError} When a page is not a collection (no `value` array)
+   */
+  async function collect(target, { limit = Infinity, headers } = {}) {
+    const items = [];
+    let nextLink = target;
+
+    while (nextLink && items.length < limit) {
+      const data = await request('GET', nextLink, { headers });
+
+      // An error-shaped 200 response, or a single item instead of a collection
+      if (!Array.isArray(data?.value)) {
+        throw new GraphError(`Expected a collection from ${nextLink}`, { body: data });
+      }
+
+      items.push(...data.value);
+      nextLink = data['@odata.nextLink'];
+    }
+
+    return {
+      items: items.slice(0, limit),
+      complete: !nextLink && items.length <= limit,
+      nextLink
+    };
+  }
+
+  /**
+   * Get a site by host and server-relative path segments ([] for the
+   * host's root site).
+   *
+   * @returns {Promise<Object|null>} Site, or null if there is none there
+   */
+  async function findSite(hostname, segments) {
+    const sitePath = segments.length > 0
+      ? `/sites/${hostname}:/${segments.map(encodeURIComponent).join('/')}`
+      : `/sites/${hostname}`;
+
+    try {
+      return await request('GET', sitePath);
+    } catch (err) {
+      if (err.status === 404 || err.status === 400) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Resolve a site reference to its Graph site ID: a site name
+   * ("TeamSite"), a server-relative path ("teams/Marketing") or a URL.
+   */
+  async function getSiteId(siteRef) {
+    if (isUrl(siteRef) || siteRef.includes('/')) {
+      return (await resolve(siteRef)).siteId;
+    }
+
+    const site = await findSite(`${credentials.tenant}.sharepoint.com`, ['sites', siteRef]);
+
+    if (!site) {
+      throw new GraphError('Site not found', { body: `No site at /sites/${siteRef}` });
+    }
+
+    return site.id;
+  }
+
+  /**
+   * Resolve what a script's site argument points at.
+   *
+   * Accepts a site name, a server-relative site path, or any SharePoint
+   * URL: site, library, folder or file URLs (under /sites/, /teams/, in
+   * subsites or on the root site) and sharing links.
+   *
+   * @param {string} ref
+   * @param {Object} [opts]
+   * @param {string} [opts.library] - Library to use when the reference
+   *   doesn't name one (see resolveDrive)
+   * @returns {Promise<{siteId: string, driveId: string, path: string,
+   *   item: Object|undefined}>} `path` is relative to the drive root;
+   *   `item` is the folder or file the URL points at, if any
+   */
+  async function resolve(ref, { library } = {}) {
+    let hostname;
+    let segments;
+
+    if (isUrl(ref)) {
+      const parsed = parseLocationUrl(ref);
+
+      if (parsed.sharingLink) {
+        return resolveSharingLink(ref);
+      }
+
+      hostname = parsed.hostname;
+      segments = parsed.segments;
+    } else {
+      hostname = `${credentials.tenant}.sharepoint.com`;
+      segments = splitPath(ref);
+
+      // Plain site name: /sites/<name>
+      if (segments.length === 1) {
+        segments.unshift('sites');
+      }
+    }
+
+    // Site collection: /sites/<name>, /teams/<name>, or the root site
+    let siteSegments = [];
+    let rest = segments;
+
+    if (segments.length >= 2 && MANAGED_PATHS.includes(segments[0].toLowerCase())) {
+      siteSegments = segments.slice(0, 2);
+      rest = segments.slice(2);
+    }
+
+    let site = await findSite(hostname, siteSegments);
+
+    if (!site) {
+      throw new GraphError('Site not found', { body: `No site at ${hostname}/${siteSegments.join('/')}` });
+    }
+
+    // Walk down: each further segment is either a library of the current
+    // site or a subsite
+    while (rest.length > 0 && !NON_LIBRARY_SEGMENTS.includes(rest[0].toLowerCase())) {
+      const drives = await listDrives(site.id);
+      const drive = drives.find(d => driveUrlName(d).toLowerCase() === rest[0].toLowerCase());
+
+      if (drive) {
+        const itemPath = rest.slice(1).join('/');
+        const item = itemPath ? await getItem(drive.id, itemPath) : undefined;
+
+        return { siteId: site.id, driveId: drive.id, path: itemPath, item };
+      }
+
+      const subsite = await findSite(hostname, [...siteSegments, rest[0]]);
+
+      if (!subsite) {
+        throw new GraphError(`Library or subsite not found: ${rest[0]}`, {
+          body: `Libraries of ${site.webUrl}: ${drives.map(d => driveUrlName(d)).join(', ')}`
+        });
+      }
+
+      site = subsite;
+      siteSegments = [...siteSegments, rest.shift()];
+    }
+
+    return { siteId: site.id, driveId: await resolveDrive(site.id, library), path: '', item: undefined };
+  }
+
+  /**
+   * Resolve a sharing link through the /shares endpoint.
+   */
+  async function resolveSharingLink(ref) {
+    let shared;
+
+    try {
+      shared = await request('GET', `/shares/${encodeSharingUrl(ref)}/driveItem`, {
+        headers: { 'Prefer': 'redeemSharingLinkIfNecessary' }
+      });
+    } catch (err) {
+      throw new GraphError('Sharing link could not be resolved', err);
+    }
+
+    const driveId = shared.parentReference.driveId;
+
+    // The shared item doesn't always carry its path: read it from the drive
+    const item = await request('GET', `/drives/${driveId}/items/${shared.id}`);
+    const parentPath = item.parentReference?.path;
+    const itemPath = parentPath
+      ? joinRemotePath(decodeURIComponent(parentPath.replace(/^.*?root:/, '')), item.name)
+      : '';
+
+    return { siteId: item.parentReference?.siteId, driveId, path: itemPath, item };
+  }
+
+  /**
+   * Resolve a site argument plus an optional path below it to an existing
+   * driveItem. Without a path, the URL itself must point at the item.
+   *
+   * @returns {Promise<{siteId: string, driveId: string, path: string, item: Object}>}
+   */
+  async function resolveItem(ref, relativePath, { library } = {}) {
+    const location = await resolve(ref, { library });
+
+    if (!relativePath && location.item) {
+      return location;
+    }
+
+    const itemPath = joinRemotePath(location.path, relativePath || '');
+    return { ...location, path: itemPath, item: await getItem(location.driveId, itemPath) };
+  }
+
+  /**
+   * Get a driveItem by path relative to the drive root ('' for the root).
+   */
+  async function getItem(driveId, itemPath) {
+    const target = itemPath
+      ? `/drives/${driveId}/root:/${encodeURIComponent(itemPath)}`
+      : `/drives/${driveId}/root`;
+
+    try {
+      return await request('GET', target);
+    } catch (err) {
+      throw err.status === 404 ? new GraphError(`Item not found: ${itemPath}`, err) : err;
+    }
+  }
+
+  /**
+   * Resolve the default document library of a site to its drive ID.
+   */
+  async function getDriveId(siteId) {
+    try {
+      const data = await request('GET', `/sites/${siteId}/drive`);
+      return data.id;
+    } catch (err) {
+      throw err.status === 404 ? new GraphError('Drive not found', err) : err;
+    }
+  }
+
+  /**
+   * List the document libraries (drives) of a site.
+   */
+  async function listDrives(siteId) {
+    const { items } = await collect(`/sites/${siteId}/drives`);
+    return items;
+  }
+
+  /**
+   * Resolve a document library to its drive ID. Without a library, the
+   * site's default library is used.
+   *
+   * @param {string} siteId
+   * @param {string} [library] - Drive ID, display name ("Contracts") or the
+   *   library's URL segment ("Shared Documents"), case-insensitive
+   */
+  async function resolveDrive(siteId, library) {
+    if (!library) {
+      return getDriveId(siteId);
+    }
+
+    const drives = await listDrives(siteId);
+    const wanted = library.toLowerCase();
+
+    const drive = drives.find(d => d.id === library) ||
+      drives.find(d => d.name?.toLowerCase() === wanted) ||
+      drives.find(d => driveUrlName(d).toLowerCase() === wanted);
+
+    if (!drive) {
+      throw new GraphError(`Library not found: ${library}`, {
+        body: `Available libraries: ${drives.map(d => d.name).join(', ')}`
+      });
+    }
+
+    return drive.id;
+  }
+
+  /**
+   * Poll the monitor URL of a long-running action (e.g. copy) until it
+   * finishes. The monitor URL is pre-authenticated.
+   *
+   * @param {string} monitorUrl - Location header of the 202 response
+   * @param {Object} [opts]
+   * @param {Function} [opts.onProgress] - Receives each status report
+   * @returns {Promise<Object>} Final status, with `resourceId` of the
+   *   created item when Graph reports it
+   */
+  async function waitForOperation(monitorUrl, { onProgress } = {}) {
+    let interval = OPERATION_POLL_MS;
+
+    while (true) {
+      const res = await send('GET', monitorUrl, { auth: false });
+      const data = await readBody(res);
+
+      // Some monitors redirect to the finished item instead of reporting it
+      if (res.statusCode === 303 && res.headers.location) {
+        return { status: 'completed', resourceLocation: res.headers.location };
+      }
+
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        throw GraphError.fromResponse(res, data, 'Could not read operation status');
+      }
+
+      let status;
+
+      try {
+        status = data ? JSON.parse(data) : {};
+      } catch (err) {
+        throw new GraphError('Invalid JSON operation status', { status: res.statusCode, body: data });
+      }
+
+      if (status.status === 'completed') {
+        return status;
+      }
+
+      if (status.status === 'failed') {
+        throw new GraphError('Operation failed', { code: status.error?.code, body: status });
+      }
+
+      if (onProgress) {
+        onProgress(status);
+      }
+
+      await sleep(interval);
+      interval = Math.min(interval * 2, MAX_OPERATION_POLL_MS);
+    }
+  }
+
+  return {
+    credentials,
+    getToken,
+    send,
+    request,
+    stream,
+    collect,
+    getSiteId,
+    getDriveId,
+    listDrives,
+    resolveDrive,
+    resolve,
+    resolveItem,
+    getItem,
+    waitForOperation
+  };
+}
+
+module.exports = { GRAPH_BASE_URL, createClient, readBody, isNetworkError, driveUrlName };
@@ -0,0 +1,189 @@
+/**
+ * SharePoint File Hashes
+ * The content hashes Graph reports in driveItem.file.hashes, computed
+ * locally so transfers can be verified
+ *
+ *   quickXorHash  SharePoint and OneDrive for Business (base64)
+ *   sha256Hash    OneDrive personal, some items (hex)
+ *   sha1Hash      OneDrive personal (hex)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { IntegrityError } = require('./errors');
+
+// In order of preference when an item reports several
+const HASH_TYPES = ['quickXorHash', 'sha256Hash', 'sha1Hash'];
+
+// Office documents SharePoint rewrites on upload when the library has
+// columns: their values are written into the file (property promotion)
+const PROMOTED_EXTENSIONS = ['.docx', '.docm', '.xlsx', '.xlsm', '.pptx', '.pptm'];
+
+const QUICK_XOR_WIDTH_BYTES = 20;
+const QUICK_XOR_SHIFT = 11;
+
+/**
+ * QuickXorHash: each input byte is XORed into a 160-bit register at a bit
+ * position advancing by 11 per byte; the data length is XORed into the
+ * last 8 bytes at the end.
+ */
+class QuickXorHash {
+  constructor() {
+    this.state = new Uint8Array(QUICK_XOR_WIDTH_BYTES);
+    this.length = 0;
+  }
+
+  update(buffer) {
+    const state = this.state;
+    let bitOffset = (this.length * QUICK_XOR_SHIFT) % (QUICK_XOR_WIDTH_BYTES * 8);
+
+    for (let i = 0; i < buffer.length; i++) {
+      const index = bitOffset >> 3;
+      const shifted = buffer[i] << (bitOffset & 7);
+
+      state[index] ^= shifted & 0xff;
+
+      if (shifted > 0xff) {
+        state[(index + 1) % QUICK_XOR_WIDTH_BYTES] ^= shifted >> 8;
+      }
+
+      bitOffset = (bitOffset + QUICK_XOR_SHIFT) % (QUICK_XOR_WIDTH_BYTES * 8);
+    }
+
+    this.length += buffer.length;
+    return this;
+  }
+
+  digest() {
+    const result = Buffer.from(this.state);
+    const length = Buffer.alloc(8);
+
+    length.writeBigUInt64LE(BigInt(this.length));
+
+    for (let i = 0; i < 8; i++) {
+      result[QUICK_XOR_WIDTH_BYTES - 8 + i] ^= length[i];
+    }
+
+    return result.toString('base64');
+  }
+}
+
+/**
+ * Hasher with update(buffer) and digest() producing the value in the
+ * format Graph reports for that hash type.
+ */
+function createHasher(type) {
+  if (type === 'quickXorHash') {
+    return new QuickXorHash();
+  }
+
+  const hash = crypto.createHash(type === 'sha256Hash' ? 'sha256' : 'sha1');
+
+  return {
+    update(buffer) {
+      hash.update(buffer);
+      return this;
+    },
+    digest: () => hash.digest('hex').toUpperCase()
+  };
+}
+
+/**
+ * The preferred hash Graph reports for an item, if any.
+ *
+ * @returns {{type: string, value: string}|null}
+ */
+function remoteHash(item) {
+  const hashes = item?.file?.hashes || {};
+  const type = HASH_TYPES.find(t => hashes[t]);
+
+  return type ? { type, value: hashes[type] } : null;
+}
+
+function hashesMatch(type, a, b) {
+  // Hex digests may come in either case; base64 is case-sensitive
+  return type === 'quickXorHash' ? a === b : a.toUpperCase() === b.toUpperCase();
+}
+
+async function hashFile(filePath, type) {
+  const hasher = createHasher(type);
+
+  await pipeline(fs.createReadStream(filePath), async function* (source) {
+    for await (const chunk of source) {
+      hasher.update(chunk);
+    }
+  });
+
+  return hasher.digest();
+}
+
+/**
+ * Check local content against a driveItem's size and reported hash.
+ *
+ * @param {Object} item - driveItem (size, file.hashes)
+ * @param {Object} local
+ * @param {number} local.size - Local size in bytes
+ * @param {string} [local.hash] - Local hash of the item's remoteHash() type
+ * @throws {IntegrityError} On a size or hash mismatch
+ */
+function checkContent(item, { size, hash }) {
+  if (typeof item.size === 'number' && size !== item.size) {
+    throw new IntegrityError(`Size mismatch for ${item.name}`, {
+      expected: `${item.size} bytes`,
+      actual: `${size} bytes`
+    });
+  }
+
+  const remote = remoteHash(item);
+
+  if (remote && hash !== undefined && !hashesMatch(remote.type, remote.value, hash)) {
+    throw new IntegrityError(`Content mismatch for ${item.name} (${remote.type})`, {
+      expected: remote.value,
+      actual: hash
+    });
+  }
+}
+
+/**
+ * Compare a local file with a driveItem by size and content hash.
+ *
+ * @returns {Promise<{type: string, value: string}|null>} The matching hash,
+ *   or null if the item reports none (only the size was compared)
+ * @throws {IntegrityError} On a mismatch
+ */
+async function verifyFile(filePath, item) {
+  const size = fs.statSync(filePath).size;
+  const remote = remoteHash(item);
+
+  // No point hashing a file of the wrong size
+  checkContent(item, { size });
+
+  if (!remote) {
+    return null;
+  }
+
+  checkContent(item, { size, hash: await hashFile(filePath, remote.type) });
+  return remote;
+}
+
+/**
+ * Whether SharePoint may change a file's content on upload (property
+ * promotion), so its size and hash can differ from the uploaded bytes.
+ */
+function mayBePromoted(fileName) {
+  const name = fileName.toLowerCase();
+  return PROMOTED_EXTENSIONS.some(ext => name.endsWith(ext));
+}
+
+module.exports = {
+  HASH_TYPES,
+  QuickXorHash,
+  createHasher,
+  remoteHash,
+  hashesMatch,
+  hashFile,
+  checkContent,
+  verifyFile,
+  mayBePromoted
+};
@@ -0,0 +1,58 @@
+/**
+ * SharePoint Item Entries
+ * The JSON entry printed for each driveItem by list-files and search, so
+ * their output can be used interchangeably (e.g. piped into download)
+ */
+
+const { cleanFields } = require('./metadata');
+const { joinRemotePath } = require('./locations');
+
+/**
+ * Output entry for a driveItem.
+ *
+ * @param {Object} item - driveItem
+ * @param {string} relativePath - Path relative to the listed folder
+ * @param {boolean} [withFields] - Include the listItem column values
+ */
+function toEntry(item, relativePath, withFields) {
+  const entry = {
+    name: item.name,
+    path: relativePath,
+    size: item.size,
+    webUrl: item.webUrl,
+    downloadUrl: item['@microsoft.graph.downloadUrl'],
+    lastModified: item.lastModifiedDateTime,
+    eTag: item.eTag,
+    cTag: item.cTag,
+    checkedOutBy: undefined,
+    isFolder: !!item.folder,
+    type: item.folder ? 'folder' : (item.file?.mimeType || 'file')
+  };
+
+  if (withFields && item.listItem) {
+    entry.fields = cleanFields(item.listItem.fields);
+  }
+
+  return entry;
+}
+
+/**
+ * Path of a driveItem relative to the drive root, from its parent
+ * reference ("/drives/{id}/root:/Folder/Sub"), or null if the item
+ * doesn't carry one.
+ */
+function drivePathOf(item) {
+  if (item.root) {
+    return '';
+  }
+
+  const parentPath = item.parentReference?.path;
+
+  if (!parentPath) {
+    return null;
+  }
+
+  return joinRemotePath(decodeURIComponent(parentPath.replace(/^.*?root:/, '')), item.name);
+}
+
+module.exports = { toEntry, drivePathOf };
@@ -0,0 +1,131 @@
+/**
+ * SharePoint Lists
+ * Resolution of plain SharePoint lists (trackers, registers...) and
+ * conversion of their items for output
+ */
+
+const { GraphError } = require('./errors');
+const { parseLocationUrl } = require('./locations');
+const { cleanFields } = require('./metadata');
+
+// Computed columns that only exist to render list views
+const VIEW_ONLY_COLUMNS = ['Edit', 'LinkTitle', 'LinkTitleNoMenu', 'DocIcon', 'ItemChildCount', 'FolderChildCount'];
+
+/**
+ * Lists of a site, without hidden system lists unless asked for.
+ *
+ * @param {Object} client - Graph client (lib/graph-client)
+ * @param {string} siteId
+ * @param {Object} [opts]
+ * @param {boolean} [opts.includeHidden]
+ * @returns {Promise<Object[]>}
+ */
+async function listLists(client, siteId, { includeHidden } = {}) {
+  const { items } = await client.collect(`/sites/${siteId}/lists`);
+  return includeHidden ? items : items.filter(list => !list.list?.hidden);
+}
+
+/**
+ * Resolve a list by ID, display name ("Issue Tracker") or URL name
+ * ("IssueTracker"), case-insensitive.
+ *
+ * @returns {Promise<Object>} The list resource
+ */
+async function resolveList(client, siteId, ref) {
+  const lists = await listLists(client, siteId, { includeHidden: true });
+  const wanted = ref.toLowerCase();
+
+  const list = lists.find(l => l.id === ref) ||
+    lists.find(l => l.displayName?.toLowerCase() === wanted) ||
+    lists.find(l => l.name?.toLowerCase() === wanted);
+
+  if (!list) {
+    throw new GraphError(`List not found: ${ref}`, {
+      body: `Lists of this site: ${lists.filter(l => !l.list?.hidden).map(l => l.displayName).join(', ')}`
+    });
+  }
+
+  return list;
+}
+
+/**
+ * The list named in a list URL (.../Lists/<name>/AllItems.aspx), if any.
+ */
+function listNameFromUrl(ref) {
+  const { segments } = parseLocationUrl(ref);
+  const index = segments.findIndex(segment => segment.toLowerCase() === 'lists');
+
+  return index >= 0 && segments[index + 1] ? segments[index + 1] : null;
+}
+
+/**
+ * A list item as output by the scripts: its ID and field values.
+ */
+function toItemEntry(item) {
+  return { id: item.id, ...cleanFields(item.fields) };
+}
+
+/**
+ * Column names to export, in schema order: visible columns that occur in
+ * at least one item (person and lookup columns as their LookupId).
+ */
+function exportColumns(columns, entries) {
+  const present = new Set(entries.flatMap(entry => Object.keys(entry)));
+  const names = ['id'];
+
+  for (const column of columns) {
+    if (column.hidden || column.name.startsWith('_') || VIEW_ONLY_COLUMNS.includes(column.name)) {
+      continue;
+    }
+
+    if (present.has(column.name)) {
+      names.push(column.name);
+    } else if (present.has(`${column.name}LookupId`)) {
+      names.push(`${column.name}LookupId`);
+    }
+  }
+
+  return names;
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text;
+
+  if (Array.isArray(value)) {
+    text = value.map(v => (typeof v === 'object' ? JSON.stringify(v) : String(v))).join('; ');
+  } else {
+    text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render entries as CSV (RFC 4180) with a header row.
+ *
+ * @param {Object[]} entries
+ * @param {string[]} names - Columns, in order
+ * @returns {string}
+ */
+function toCsv(entries, names) {
+  const lines = [names.map(csvValue).join(',')];
+
+  for (const entry of entries) {
+    lines.push(names.map(name => csvValue(entry[name])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  listLists,
+  resolveList,
+  listNameFromUrl,
+  toItemEntry,
+  exportColumns,
+  toCsv
+};
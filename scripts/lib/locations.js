@@ -0,0 +1,103 @@
+/**
+ * SharePoint Locations
+ * Parsing of the site arguments the scripts accept:
+ *
+ *   TeamSite                                     Site name (under /sites/)
+ *   teams/Marketing, sites/Project/Sub           Server-relative site path
+ *   https://contoso.sharepoint.com/...           Site, library, folder or
+ *                                                file URL as pasted from a
+ *                                                browser, incl. /teams/,
+ *                                                subsites and the root site
+ *   https://contoso.sharepoint.com/:w:/s/...     Sharing link
+ *
+ * Resolution against Graph happens in graph-client.js (client.resolve).
+ */
+
+// Managed paths under which site collections live. Anything else is a
+// path below the tenant root site.
+const MANAGED_PATHS = ['sites', 'teams', 'personal'];
+
+// Path segments that start a page, list or system URL rather than a
+// library, e.g. /sites/Team/SitePages/Home.aspx
+const NON_LIBRARY_SEGMENTS = ['sitepages', 'lists', '_layouts', 'pages', '_api', '_vti_bin'];
+
+function isUrl(ref) {
+  return /^https:\/\//i.test(ref);
+}
+
+/**
+ * Sharing links (/:w:/s/..., /:f:/r/...), guest links and Doc.aspx
+ * document links can't be mapped to a path and go through /shares.
+ */
+function isSharingLink(url) {
+  const pathname = url.pathname.toLowerCase();
+
+  return /^\/:[a-z]:\//.test(pathname) ||
+    pathname.endsWith('/guestaccess.aspx') ||
+    pathname.endsWith('/_layouts/15/doc.aspx') ||
+    pathname.endsWith('/_layouts/15/doc2.aspx') ||
+    url.searchParams.has('share');
+}
+
+/**
+ * Split a SharePoint URL into host and decoded server-relative path
+ * segments. Library view URLs (.../Forms/AllItems.aspx?id=/sites/...)
+ * resolve to the folder in their `id` parameter.
+ *
+ * @returns {{hostname: string, segments: string[], sharingLink: boolean}}
+ */
+function parseLocationUrl(ref) {
+  const url = new URL(ref);
+
+  if (isSharingLink(url)) {
+    return { hostname: url.hostname, segments: [], sharingLink: true };
+  }
+
+  let serverRelative = decodeURIComponent(url.pathname);
+  const viewId = url.searchParams.get('id') || url.searchParams.get('RootFolder');
+
+  if (viewId) {
+    serverRelative = viewId;
+  } else if (/\/forms\/[^/]+\.aspx$/i.test(serverRelative)) {
+    // Library view without a folder: the library itself
+    serverRelative = serverRelative.replace(/\/forms\/[^/]+\.aspx$/i, '');
+  }
+
+  return {
+    hostname: url.hostname,
+    segments: splitPath(serverRelative),
+    sharingLink: false
+  };
+}
+
+function splitPath(remotePath) {
+  return (remotePath || '').split('/').filter(Boolean);
+}
+
+/**
+ * Join remote path parts, ignoring empty parts and stray slashes.
+ */
+function joinRemotePath(...parts) {
+  return parts.flatMap(splitPath).join('/');
+}
+
+/**
+ * Encode a sharing URL for /shares/{shareId} ("u!" + unpadded base64url).
+ */
+function encodeSharingUrl(ref) {
+  return 'u!' + Buffer.from(ref).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+module.exports = {
+  MANAGED_PATHS,
+  NON_LIBRARY_SEGMENTS,
+  isUrl,
+  isSharingLink,
+  parseLocationUrl,
+  splitPath,
+  joinRemotePath,
+  encodeSharingUrl
+};
@@ -0,0 +1,247 @@
+/**
+ * SharePoint Library Metadata
+ * Column definitions of a document library and conversion of
+ * "Name=Value" arguments into listItem field values
+ *
+ * Values are checked against the column type before anything is sent:
+ *   text                  any string (up to the column's maximum length)
+ *   number, currency      a number within the column's bounds
+ *   boolean               true/false, yes/no or 1/0
+ *   dateTime              anything Date can parse, sent as ISO 8601
+ *   choice                one of the column's choices (";"-separated for
+ *                         multi-select columns)
+ *   lookup, person/group  numeric lookup ID(s) of the referenced item/user
+ *
+ * JSON input may use native types instead (numbers, booleans, arrays for
+ * multi-value columns); null clears a value.
+ */
+
+const { ValidationError } = require('./errors');
+
+// Column facets, in the order they are checked to name a column's type
+const COLUMN_TYPES = [
+  'text', 'number', 'currency', 'boolean', 'dateTime', 'choice', 'lookup',
+  'personOrGroup', 'hyperlinkOrPicture', 'calculated', 'term', 'geolocation',
+  'thumbnail', 'contentApprovalStatus'
+];
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, 1: true,
+  false: false, no: false, 0: false
+};
+
+/**
+ * Column definitions of the list behind a drive.
+ *
+ * @param {Object} client - Graph client (lib/graph-client)
+ * @param {string} driveId
+ * @returns {Promise<Object[]>}
+ */
+async function getColumns(client, driveId) {
+  const { items } = await client.collect(`/drives/${driveId}/list/columns`);
+  return items;
+}
+
+function columnType(column) {
+  return COLUMN_TYPES.find(type => column[type]) || 'unknown';
+}
+
+/**
+ * Find a column by internal name or display name (case-insensitive).
+ */
+function findColumn(columns, name) {
+  const wanted = name.toLowerCase();
+  return columns.find(c => c.name.toLowerCase() === wanted) ||
+    columns.find(c => (c.displayName || '').toLowerCase() === wanted);
+}
+
+/**
+ * Like findColumn, but throws a ValidationError naming the available
+ * columns when there is no match.
+ */
+function resolveColumn(columns, name) {
+  const column = findColumn(columns, name);
+
+  if (!column) {
+    const available = columns.filter(c => !c.hidden).map(c => c.name);
+    throw new ValidationError(`Unknown column: ${name}`, `Columns of this library: ${available.join(', ')}`);
+  }
+
+  return column;
+}
+
+/**
+ * Split "Name=Value" arguments at the first "=".
+ *
+ * @param {string[]} [args]
+ * @returns {Array<[string, string]>}
+ */
+function parseAssignments(args = []) {
+  return args.map((arg) => {
+    const index = arg.indexOf('=');
+
+    if (index < 1) {
+      throw new ValidationError(`Expected Name=Value, got: ${arg}`);
+    }
+
+    return [arg.slice(0, index).trim(), arg.slice(index + 1)];
+  });
+}
+
+/**
+ * Validate assignments against the column definitions and build the body
+ * for PATCH .../listItem/fields.
+ *
+ * @param {Object[]} columns - From getColumns
+ * @param {Array<[string, *]>} assignments - From parseAssignments, or
+ *   Object.entries() of a JSON object
+ * @returns {Object} Field values keyed by internal column name
+ */
+function buildFieldValues(columns, assignments) {
+  const fields = {};
+
+  for (const [name, raw] of assignments) {
+    const column = resolveColumn(columns, name);
+
+    if (column.readOnly || column.calculated) {
+      throw new ValidationError(`Column is read-only: ${column.name}`);
+    }
+
+    if (raw === null) {
+      fields[column.lookup || column.personOrGroup ? `${column.name}LookupId` : column.name] = null;
+      continue;
+    }
+
+    Object.assign(fields, convertValue(column, Array.isArray(raw) ? raw.join(';') : String(raw)));
+  }
+
+  return fields;
+}
+
+function convertValue(column, raw) {
+  const name = column.name;
+  const type = columnType(column);
+  const invalid = (expected) => new ValidationError(
+    `Invalid value for ${name} (${type}): ${raw}`,
+    expected
+  );
+
+  switch (type) {
+    case 'text': {
+      const maxLength = column.text.maxLength;
+
+      if (maxLength && !column.text.allowMultipleLines && raw.length > maxLength) {
+        throw invalid(`At most ${maxLength} characters`);
+      }
+
+      return { [name]: raw };
+    }
+
+    case 'number':
+    case 'currency': {
+      const number = Number(raw);
+      const { minimum, maximum } = column.number || {};
+
+      if (raw.trim() === '' || !Number.isFinite(number)) {
+        throw invalid('Expected a number');
+      }
+
+      if ((minimum !== undefined && number < minimum) || (maximum !== undefined && number > maximum)) {
+        throw invalid(`Expected a number between ${minimum ?? '-∞'} and ${maximum ?? '∞'}`);
+      }
+
+      return { [name]: number };
+    }
+
+    case 'boolean': {
+      const value = BOOLEAN_VALUES[raw.trim().toLowerCase()];
+
+      if (value === undefined) {
+        throw invalid('Expected true/false, yes/no or 1/0');
+      }
+
+      return { [name]: value };
+    }
+
+    case 'dateTime': {
+      const date = new Date(raw);
+
+      if (raw.trim() === '' || isNaN(date.getTime())) {
+        throw invalid('Expected a date, e.g. 2026-03-31 or 2026-03-31T12:00:00Z');
+      }
+
+      return { [name]: date.toISOString() };
+    }
+
+    case 'choice': {
+      const multiple = column.choice.displayAs === 'checkBoxes';
+      const values = multiple ? splitValues(raw) : [raw];
+      const { choices = [], allowTextEntry } = column.choice;
+
+      for (const value of values) {
+        if (!allowTextEntry && !choices.includes(value)) {
+          throw invalid(`Expected one of: ${choices.join(', ')}`);
+        }
+      }
+
+      return multiple
+        ? { [name]: values, [`${name}@odata.type`]: 'Collection(Edm.String)' }
+        : { [name]: raw };
+    }
+
+    case 'lookup':
+    case 'personOrGroup': {
+      const multiple = column.lookup?.allowMultipleValues || column.personOrGroup?.allowMultipleSelection;
+      const ids = (multiple ? splitValues(raw) : [raw]).map(Number);
+
+      if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+        throw invalid(type === 'lookup'
+          ? 'Expected the numeric ID of the referenced list item'
+          : 'Expected the numeric site user ID (lookup ID) of the person or group');
+      }
+
+      return multiple
+        ? { [`${name}LookupId`]: ids, [`${name}LookupId@odata.type`]: 'Collection(Edm.Int32)' }
+        : { [`${name}LookupId`]: String(ids[0]) };
+    }
+
+    default:
+      throw new ValidationError(`Setting ${type} columns is not supported: ${name}`);
+  }
+}
+
+function splitValues(raw) {
+  return raw.split(';').map(value => value.trim()).filter(Boolean);
+}
+
+/**
+ * listItem fields without OData annotations.
+ */
+function cleanFields(fields = {}) {
+  return Object.fromEntries(Object.entries(fields).filter(([key]) => !key.startsWith('@odata')));
+}
+
+/**
+ * Summary of a column definition for display.
+ */
+function describeColumn(column) {
+  return {
+    name: column.name,
+    displayName: column.displayName,
+    type: columnType(column),
+    required: !!column.required,
+    readOnly: !!(column.readOnly || column.calculated),
+    choices: column.choice?.choices,
+    description: column.description || undefined
+  };
+}
+
+module.exports = {
+  getColumns,
+  findColumn,
+  resolveColumn,
+  parseAssignments,
+  buildFieldValues,
+  cleanFields,
+  describeColumn
+};
@@ -0,0 +1,123 @@
+/**
+ * SharePoint Sites
+ * Discovery of the sites the app (or signed-in user) can access, and the
+ * details scripts don't get from resolving a site
+ */
+
+const { driveUrlName } = require('./graph-client');
+
+/**
+ * Site argument for the other scripts: the site name for /sites/<name>,
+ * otherwise the server-relative path ("teams/Marketing"), or the URL of a
+ * root site.
+ */
+function siteRefOf(site) {
+  const sitePath = decodeURIComponent(new URL(site.webUrl).pathname).replace(/^\/+|\/+$/g, '');
+
+  if (!sitePath) {
+    return site.webUrl;
+  }
+
+  const segments = sitePath.split('/');
+  return segments.length === 2 && segments[0].toLowerCase() === 'sites' ? segments[1] : sitePath;
+}
+
+/**
+ * Output entry for a site.
+ */
+function toSiteEntry(site) {
+  return {
+    name: site.displayName || site.name,
+    siteRef: siteRefOf(site),
+    webUrl: site.webUrl,
+    id: site.id,
+    description: site.description || undefined,
+    created: site.createdDateTime,
+    lastModified: site.lastModifiedDateTime
+  };
+}
+
+/**
+ * Sites matching a search query ("*" for all). Results come from the
+ * search index, so new sites can take a while to show up.
+ *
+ * @param {Object} client - Graph client (lib/graph-client)
+ * @param {string} query
+ * @param {Object} [opts]
+ * @param {number} [opts.limit=Infinity]
+ * @returns {Promise<{sites: Object[], complete: boolean}>} Site entries
+ */
+async function findSites(client, query, { limit = Infinity } = {}) {
+  const { items, complete } = await client.collect(`/sites?search=${encodeURIComponent(query)}`, { limit });
+  return { sites: items.map(toSiteEntry), complete };
+}
+
+/**
+ * Owner of a site: the group behind a team site, or the user who owns the
+ * default library. Graph has no owner on the site itself.
+ *
+ * @returns {Promise<{type: string, displayName: string, email: string, id: string}|null>}
+ */
+async function getSiteOwner(client, siteId) {
+  let drive;
+
+  try {
+    drive = await client.request('GET', `/sites/${siteId}/drive?$select=id,owner`);
+  } catch (err) {
+    if (err.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+
+  const [type, owner] = Object.entries(drive.owner || {})[0] || [];
+
+  if (!owner) {
+    return null;
+  }
+
+  return { type, displayName: owner.displayName, email: owner.email, id: owner.id };
+}
+
+/**
+ * Document libraries of a site with their storage quota. Pass "name",
+ * "urlName" or "id" to the --library option of the other scripts.
+ *
+ * @returns {Promise<Object[]>} Library entries
+ */
+async function listLibraries(client, siteId) {
+  const drives = await client.listDrives(siteId);
+  const libraries = [];
+
+  for (const drive of drives) {
+    // The drives collection doesn't always include the quota
+    const quota = drive.quota ||
+      (await client.request('GET', `/drives/${drive.id}?$select=id,quota`)).quota;
+
+    libraries.push({
+      name: drive.name,
+      urlName: driveUrlName(drive),
+      id: drive.id,
+      description: drive.description || undefined,
+      webUrl: drive.webUrl,
+      driveType: drive.driveType,
+      lastModified: drive.lastModifiedDateTime,
+      quota: quota ? toQuota(quota) : undefined
+    });
+  }
+
+  return libraries;
+}
+
+function toQuota(quota) {
+  return {
+    used: quota.used,
+    total: quota.total,
+    remaining: quota.remaining,
+    deleted: quota.deleted,
+    state: quota.state,
+    usedPercent: quota.total ? Math.round(quota.used / quota.total * 1000) / 10 : undefined
+  };
+}
+
+module.exports = { siteRefOf, toSiteEntry, findSites, getSiteOwner, listLibraries };
@@ -0,0 +1,281 @@
+/**
+ * SharePoint Sync
+ * Change detection for sharepoint-sync.js. The remote folder is tracked
+ * with the drive's delta query, so only items changed since the last run
+ * are fetched; the local folder is scanned. Both are compared with the
+ * baseline: each file as it was after it was last synced.
+ *
+ * State is kept per (drive, folder, local directory) in
+ * ~/.config/bobby/sharepoint-sync/.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PART_SUFFIX } = require('./transfers');
+
+const SYNC_STATE_DIR = path.join(process.env.HOME, '.config/bobby/sharepoint-sync');
+
+// What the snapshot keeps of each driveItem
+const DELTA_SELECT = 'id,name,size,cTag,eTag,file,folder,deleted,parentReference,root';
+
+function getStatePath(driveId, folderId, localDir) {
+  const key = crypto.createHash('sha1')
+    .update(`${driveId}\n${folderId}\n${path.resolve(localDir)}`)
+    .digest('hex');
+
+  return path.join(SYNC_STATE_DIR, `${key}.json`);
+}
+
+/**
+ * Saved state, or a fresh one for a first sync.
+ *
+ * @returns {{deltaLink: string|null, remote: Object, baseline: Object}}
+ *   `remote` maps item IDs to snapshot entries, `baseline` maps relative
+ *   paths to the last synced {id, cTag, eTag, size, mtimeMs}
+ */
+function loadState(statePath) {
+  try {
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (err) {
+    return { deltaLink: null, remote: {}, baseline: {} };
+  }
+}
+
+function saveState(statePath, state) {
+  // Write and rename, so an interrupted save doesn't lose the baseline
+  const tempPath = `${statePath}.tmp`;
+
+  fs.mkdirSync(SYNC_STATE_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(tempPath, JSON.stringify(state), { mode: 0o600 });
+  fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Bring the snapshot of the remote folder up to date.
+ *
+ * SharePoint only supports delta queries from the drive root, and delta
+ * results carry no paths, so the drive's changes are narrowed to the
+ * folder by following parent IDs.
+ *
+ * @returns {Promise<number>} Number of changed items reported
+ */
+async function updateRemote(client, driveId, folderId, state) {
+  let link = state.deltaLink || `/drives/${driveId}/root/delta?$select=${DELTA_SELECT}`;
+  const changes = [];
+  let data;
+
+  try {
+    while (link) {
+      data = await client.request('GET', link);
+      changes.push(...data.value);
+      link = data['@odata.nextLink'];
+    }
+  } catch (err) {
+    if (err.status === 410 && state.deltaLink) {
+      // The delta link expired: enumerate again. The baseline still tells
+      // what actually changed.
+      state.deltaLink = null;
+      state.remote = {};
+      return updateRemote(client, driveId, folderId, state);
+    }
+    throw err;
+  }
+
+  const incremental = !!state.deltaLink;
+  const entered = applyChanges(state.remote, changes, folderId);
+
+  // A folder moved in from elsewhere comes without its (unchanged)
+  // contents; a first enumeration has everything already
+  if (incremental) {
+    for (const id of entered) {
+      await addContents(client, driveId, id, state.remote);
+    }
+  }
+
+  state.deltaLink = data['@odata.deltaLink'];
+  return changes.length;
+}
+
+async function addContents(client, driveId, folderId, remote) {
+  const { items } = await client.collect(`/drives/${driveId}/items/${folderId}/children?$select=${DELTA_SELECT}`);
+
+  for (const item of items) {
+    remote[item.id] = toEntry(item);
+
+    if (item.folder) {
+      await addContents(client, driveId, item.id, remote);
+    }
+  }
+}
+
+function toEntry(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    parentId: item.parentReference?.id,
+    folder: !!item.folder,
+    size: item.size,
+    cTag: item.cTag,
+    eTag: item.eTag,
+    // Same shape as a driveItem, for lib/hashes and lib/transfers
+    file: item.file ? { hashes: item.file.hashes } : undefined
+  };
+}
+
+/**
+ * Apply delta changes to the snapshot.
+ *
+ * @returns {string[]} IDs of folders that weren't in the snapshot before
+ */
+function applyChanges(remote, changes, folderId) {
+  const known = new Set(Object.keys(remote));
+
+  // Changed items are re-added below if they are (still) in the folder
+  for (const item of changes) {
+    delete remote[item.id];
+  }
+
+  let pending = changes.filter(item => !item.deleted && item.id !== folderId);
+  let added = true;
+
+  // Parents aren't guaranteed to come before their children
+  while (added) {
+    added = false;
+
+    pending = pending.filter(item => {
+      const parentId = item.parentReference?.id;
+
+      if (parentId === folderId || remote[parentId]?.folder) {
+        remote[item.id] = toEntry(item);
+        added = true;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Drop items whose folder was deleted or moved out
+  const inside = new Map([[folderId, true]]);
+
+  const isInside = (id) => {
+    if (!inside.has(id)) {
+      inside.set(id, false);
+      inside.set(id, !!remote[id] && isInside(remote[id].parentId));
+    }
+    return inside.get(id);
+  };
+
+  for (const [id, entry] of Object.entries(remote)) {
+    if (!isInside(entry.parentId)) {
+      delete remote[id];
+    }
+  }
+
+  return Object.values(remote).filter(entry => entry.folder && !known.has(entry.id)).map(entry => entry.id);
+}
+
+/**
+ * Files and folders of the snapshot by path relative to the folder.
+ *
+ * @returns {{files: Map<string, Object>, folders: Map<string, Object>}}
+ */
+function remoteTree(state, folderId) {
+  const paths = new Map([[folderId, '']]);
+  const files = new Map();
+  const folders = new Map();
+
+  const pathOf = (id) => {
+    if (!paths.has(id)) {
+      const entry = state.remote[id];
+      const parent = pathOf(entry.parentId);
+      paths.set(id, parent ? `${parent}/${entry.name}` : entry.name);
+    }
+    return paths.get(id);
+  };
+
+  for (const entry of Object.values(state.remote)) {
+    (entry.folder ? folders : files).set(pathOf(entry.id), entry);
+  }
+
+  return { files, folders };
+}
+
+/**
+ * Files and folders under a local directory by relative path ("/"
+ * separated). Download part files are left out.
+ *
+ * @returns {{files: Map<string, {size: number, mtimeMs: number}>, folders: Set<string>}}
+ */
+function scanLocal(localDir) {
+  const files = new Map();
+  const folders = new Set();
+
+  const walk = (relDir) => {
+    for (const entry of fs.readdirSync(path.join(localDir, relDir), { withFileTypes: true })) {
+      const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        folders.add(relPath);
+        walk(relPath);
+      } else if (entry.isFile() && !entry.name.endsWith(PART_SUFFIX)) {
+        const stat = fs.statSync(path.join(localDir, relPath));
+        files.set(relPath, { size: stat.size, mtimeMs: stat.mtimeMs });
+      }
+    }
+  };
+
+  if (fs.existsSync(localDir)) {
+    walk('');
+  }
+
+  return { files, folders };
+}
+
+/**
+ * Compare both sides with the baseline.
+ *
+ * @returns {Object[]} One entry per path that changed on either side:
+ *   {path, base, remote, local, remoteChange, localChange}, where the
+ *   changes are 'added', 'modified', 'deleted' or null
+ */
+function detectChanges(baseline, remoteFiles, localFiles) {
+  const paths = new Set([...Object.keys(baseline), ...remoteFiles.keys(), ...localFiles.keys()]);
+  const changes = [];
+
+  for (const relPath of [...paths].sort()) {
+    const base = baseline[relPath];
+    const remote = remoteFiles.get(relPath);
+    const local = localFiles.get(relPath);
+
+    const remoteChange = changeOf(base, remote, () => remote.cTag !== base.cTag);
+    const localChange = changeOf(base, local, () =>
+      local.size !== base.size || local.mtimeMs !== base.mtimeMs);
+
+    if (remoteChange || localChange) {
+      changes.push({ path: relPath, base, remote, local, remoteChange, localChange });
+    }
+  }
+
+  return changes;
+}
+
+function changeOf(base, current, isModified) {
+  if (!current) {
+    return base ? 'deleted' : null;
+  }
+  if (!base) {
+    return 'added';
+  }
+  return isModified() ? 'modified' : null;
+}
+
+module.exports = {
+  getStatePath,
+  loadState,
+  saveState,
+  updateRemote,
+  remoteTree,
+  scanLocal,
+  detectChanges
+};
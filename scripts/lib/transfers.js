@@ -0,0 +1,602 @@
+/**
+ * SharePoint Transfers
+ * File uploads and downloads shared by the upload, download and sync
+ * scripts, each verified against the size and hash SharePoint reports.
+ * Directory transfers run several of them at once (forEachParallel).
+ *
+ * Uploads of 4MB and more go through a resumable upload session; downloads
+ * are written to "<output>.part" and resumed with Range requests. State of
+ * interrupted transfers is kept under ~/.config/bobby/ so running the same
+ * transfer again continues where it stopped.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { readBody, isNetworkError } = require('./graph-client');
+const { GraphError, IntegrityError } = require('./errors');
+const { remoteHash, hashFile, checkContent, verifyFile, mayBePromoted } = require('./hashes');
+
+// Larger files need an upload session
+const SMALL_FILE_LIMIT = 4 * 1024 * 1024;
+
+// Upload session chunks must be a multiple of 320 KiB
+const CHUNK_SIZE = 32 * 320 * 1024;
+const MAX_CHUNK_RETRIES = 5;
+const UPLOAD_STATE_DIR = path.join(process.env.HOME, '.config/bobby/sharepoint-uploads');
+
+// Dropped connections are resumed from the bytes on disk
+const MAX_RESUME_RETRIES = 5;
+const DOWNLOAD_STATE_DIR = path.join(process.env.HOME, '.config/bobby/sharepoint-downloads');
+
+const PART_SUFFIX = '.part';
+
+const defaultLog = message => console.error(message);
+
+/**
+ * Upload a local file to a path in a drive and verify the result.
+ *
+ * @param {Object} client - Graph client (lib/graph-client)
+ * @param {string} driveId
+ * @param {string} remotePath - Path within the drive, parents are created
+ * @param {string} localFile
+ * @param {Object} [opts]
+ * @param {string} [opts.conflict='replace'] - replace, fail or rename
+ * @param {string} [opts.ifMatch] - Only overwrite if the eTag/cTag matches
+ * @param {boolean} [opts.allowPromotion] - Accept a changed Office document
+ *   (property promotion) with a warning instead of failing
+ * @param {Function} [opts.log] - Receives progress messages (default: stderr)
+ * @returns {Promise<{item: Object, verified: Object|null, promoted: boolean}>}
+ *   The uploaded driveItem and the verified hash (null if SharePoint reports
+ *   none). `promoted` is set when allowPromotion accepted an Office document
+ *   that came back changed.
+ * @throws {GraphError} 409/412 when the conflict mode or If-Match refuses
+ * @throws {IntegrityError} When the uploaded content doesn't match
+ */
+async function uploadFile(client, driveId, remotePath, localFile, opts = {}) {
+  const options = { conflict: 'replace', log: defaultLog, ...opts };
+  const size = fs.statSync(localFile).size;
+
+  const item = size < SMALL_FILE_LIMIT
+    ? await uploadSmallFile(client, driveId, remotePath, localFile, options)
+    : await uploadLargeFile(client, driveId, remotePath, localFile, size, options);
+
+  return verifyUpload(client, driveId, item, localFile, options);
+}
+
+/**
+ * Request headers for a conditional write: with If-Match, Graph answers
+ * 412 instead of overwriting a file whose eTag/cTag has changed.
+ */
+function conditionalHeaders(options, headers = {}) {
+  return options.ifMatch ? { ...headers, 'If-Match': options.ifMatch } : headers;
+}
+
+async function uploadSmallFile(client, driveId, remotePath, localFile, options) {
+  const encodedPath = encodeURIComponent(remotePath);
+  const apiPath = `/drives/${driveId}/root:/${encodedPath}:/content` +
+    `?@microsoft.graph.conflictBehavior=${options.conflict}`;
+
+  try {
+    return await client.request('PUT', apiPath, {
+      body: fs.readFileSync(localFile),
+      headers: conditionalHeaders(options, { 'Content-Type': 'application/octet-stream' })
+    });
+  } catch (err) {
+    throw new GraphError('Upload failed', err);
+  }
+}
+
+async function uploadLargeFile(client, driveId, remotePath, localFile, fileSize, options) {
+  const statePath = getSessionStatePath(driveId, remotePath, localFile);
+  const saved = loadSessionState(statePath, localFile);
+  let uploadUrl;
+  let offset = null;
+
+  if (saved) {
+    options.log(`Resuming interrupted upload (state: ${statePath})`);
+    uploadUrl = saved.uploadUrl;
+    offset = await getSessionOffset(client, uploadUrl, fileSize);
+
+    if (offset === null) {
+      // Session expired or was cancelled on the server: start over
+      options.log('Previous upload session is no longer valid, starting a new one');
+      removeState(statePath);
+    }
+  }
+
+  if (offset === null) {
+    const session = await createUploadSession(client, driveId, remotePath, options);
+    saveSessionState(statePath, session, localFile, remotePath);
+    uploadUrl = session.uploadUrl;
+    offset = 0;
+  }
+
+  const result = await uploadChunks(client, uploadUrl, offset, localFile, fileSize, statePath, options);
+  removeState(statePath);
+  return result;
+}
+
+function getSessionStatePath(driveId, remotePath, localFile) {
+  // One state file per (drive, remote path, local file) so re-running the
+  // same command picks the interrupted session back up
+  const key = crypto.createHash('sha1')
+    .update(`${driveId}\n${remotePath}\n${path.resolve(localFile)}`)
+    .digest('hex');
+
+  return path.join(UPLOAD_STATE_DIR, `${key}.json`);
+}
+
+function loadSessionState(statePath, localFile) {
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  try {
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    const stat = fs.statSync(localFile);
+
+    // Local file changed since the session was created: bytes already on
+    // the server no longer match, so the session can't be reused
+    if (state.size !== stat.size || state.mtimeMs !== stat.mtimeMs) {
+      removeState(statePath);
+      return null;
+    }
+
+    if (new Date(state.expirationDateTime) <= new Date()) {
+      removeState(statePath);
+      return null;
+    }
+
+    return state;
+  } catch (err) {
+    removeState(statePath);
+    return null;
+  }
+}
+
+function saveSessionState(statePath, session, localFile, remotePath) {
+  const stat = fs.statSync(localFile);
+
+  fs.mkdirSync(UPLOAD_STATE_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(statePath, JSON.stringify({
+    uploadUrl: session.uploadUrl,
+    expirationDateTime: session.expirationDateTime,
+    localFile: path.resolve(localFile),
+    remotePath,
+    size: stat.size,
+    mtimeMs: stat.mtimeMs
+  }, null, 2), { mode: 0o600 });
+}
+
+function removeState(statePath) {
+  try {
+    fs.unlinkSync(statePath);
+  } catch (err) {
+    // Already gone
+  }
+}
+
+async function createUploadSession(client, driveId, remotePath, options) {
+  const encodedPath = encodeURIComponent(remotePath);
+  const apiPath = `/drives/${driveId}/root:/${encodedPath}:/createUploadSession`;
+
+  try {
+    return await client.request('POST', apiPath, {
+      body: {
+        item: {
+          '@microsoft.graph.conflictBehavior': options.conflict
+        }
+      },
+      headers: conditionalHeaders(options)
+    });
+  } catch (err) {
+    throw new GraphError('Could not create upload session', err);
+  }
+}
+
+/**
+ * Ask the session which byte it expects next.
+ *
+ * @returns {Promise<number|null>} Offset, or null if the session is gone
+ */
+async function getSessionOffset(client, uploadUrl, fileSize) {
+  try {
+    // The upload URL is pre-authenticated: no Authorization header
+    const status = await client.request('GET', uploadUrl, { auth: false });
+    return nextExpectedOffset(status, fileSize);
+  } catch (err) {
+    return null;
+  }
+}
+
+function nextExpectedOffset(status, fallback) {
+  const ranges = status?.nextExpectedRanges || [];
+  return ranges.length > 0 ? parseInt(ranges[0].split('-')[0], 10) : fallback;
+}
+
+async function uploadChunks(client, uploadUrl, offset, localFile, fileSize, statePath, options) {
+  const fd = fs.openSync(localFile, 'r');
+  let attempt = 0;
+
+  const retry = (start, reason) =>
+    waitBeforeRetry(client, uploadUrl, start, fileSize, attempt++, reason, options);
+
+  try {
+    while (true) {
+      const start = offset;
+      const end = Math.min(start + CHUNK_SIZE, fileSize) - 1;
+      const buffer = Buffer.alloc(end - start + 1);
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+
+      let res;
+      let data;
+
+      try {
+        res = await client.send('PUT', uploadUrl, {
+          body: buffer,
+          headers: { 'Content-Range': `bytes ${start}-${end}/${fileSize}` },
+          auth: false,
+          // Failed chunks are retried below, after asking the session
+          // which bytes it actually received
+          retry: false
+        });
+        data = await readBody(res);
+      } catch (err) {
+        offset = await retry(start, err.message);
+        continue;
+      }
+
+      if (res.statusCode === 200 || res.statusCode === 201) {
+        // Final chunk accepted: the response is the created driveItem
+        options.log(`  Progress: 100% (${fileSize} / ${fileSize} bytes)`);
+        return JSON.parse(data);
+      }
+
+      if (res.statusCode === 202) {
+        const uploaded = end + 1;
+        const percent = Math.floor((uploaded / fileSize) * 100);
+        options.log(`  Progress: ${percent}% (${uploaded} / ${fileSize} bytes)`);
+
+        offset = nextExpectedOffset(JSON.parse(data), uploaded);
+        attempt = 0;
+      } else if (res.statusCode === 404) {
+        removeState(statePath);
+        const err = GraphError.fromResponse(res, data, 'Upload session expired or was cancelled');
+        err.hint = 'Run the same command again to start a new upload';
+        throw err;
+      } else if (res.statusCode === 416 || res.statusCode >= 500) {
+        offset = await retry(start, `Status ${res.statusCode}`);
+      } else {
+        if (res.statusCode === 409 || res.statusCode === 412) {
+          // The file was created or changed while uploading: the session is dead
+          removeState(statePath);
+        }
+        throw GraphError.fromResponse(res, data, 'Upload failed');
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Back off after a failed chunk, then ask the session where to continue:
+ * the server may have received part or all of the chunk before the
+ * connection dropped.
+ */
+async function waitBeforeRetry(client, uploadUrl, start, fileSize, attempt, reason, options) {
+  if (attempt >= MAX_CHUNK_RETRIES) {
+    const err = new GraphError(`Upload failed after ${MAX_CHUNK_RETRIES} retries: ${reason}`);
+    err.hint = 'Run the same command again to resume the upload';
+    throw err;
+  }
+
+  const delay = Math.min(1000 * 2 ** attempt, 30000);
+  options.log(`  ${reason}, retrying in ${delay / 1000}s...`);
+  await new Promise(resolve => setTimeout(resolve, delay));
+
+  const offset = await getSessionOffset(client, uploadUrl, fileSize);
+  return offset === null ? start : offset;
+}
+
+/**
+ * Compare the uploaded file's size and hash with the local file.
+ *
+ * @returns {Promise<{item: Object, verified: Object|null, promoted: boolean}>}
+ */
+async function verifyUpload(client, driveId, result, localFile, options) {
+  let item = result;
+
+  if (!remoteHash(item)) {
+    // The upload response doesn't always carry the hashes yet
+    item = await client.request('GET', `/drives/${driveId}/items/${result.id}`);
+  }
+
+  try {
+    return { item: result, verified: await verifyFile(localFile, item), promoted: false };
+  } catch (err) {
+    if (!(err instanceof IntegrityError)) {
+      throw err;
+    }
+
+    const promotable = mayBePromoted(item.name);
+
+    if (promotable && options.allowPromotion) {
+      // SharePoint may write the library's column values into the document,
+      // which changes its size and hash; the caller accepted that
+      options.log(`  Warning: ${err.message}; accepted (--allow-promotion): SharePoint ` +
+        'may have written library columns into this Office document');
+      return { item: result, verified: null, promoted: true };
+    }
+
+    err.message = `Uploaded file doesn't match the local file: ${err.message}`;
+    // The local file is the reference here
+    [err.expected, err.actual] = [err.actual, err.expected];
+    err.hint = promotable
+      ? 'If the library has columns, SharePoint may have written them into this Office document ' +
+        '(property promotion): check the remote file and use --allow-promotion to accept such changes'
+      : 'Upload it again; earlier versions can be restored with sharepoint-versions.js --restore';
+    throw err;
+  }
+}
+
+/**
+ * Download an item (or one of its versions or conversions) to outputPath.
+ *
+ * The content goes to "<output>.part" first and is only renamed into
+ * place once complete; the current version must also match the item's
+ * size and hash. Dropped connections, and a later run after an interrupt,
+ * continue from the bytes already in the part file.
+ *
+ * @param {Object} client - Graph client (lib/graph-client)
+ * @param {string} driveId
+ * @param {Object} item - driveItem (id, size, cTag, file.hashes)
+ * @param {string} outputPath
+ * @param {Object} [opts]
+ * @param {string} [opts.version] - Version ID to download instead
+ * @param {string} [opts.format] - Conversion format (pdf, html, jpg)
+ * @param {Function} [opts.log] - Receives progress messages (default: stderr)
+ * @returns {Promise<{type: string, value: string}|null>} The verified hash
+ * @throws {IntegrityError} When the content doesn't match (part file deleted)
+ */
+async function downloadFile(client, driveId, item, outputPath, opts = {}) {
+  const { version: versionId, format, log = defaultLog } = opts;
+
+  // Download by ID so the content belongs to the item whose tags we report
+  const itemPath = `/drives/${driveId}/items/${item.id}`;
+  let apiPath = `${itemPath}/content`;
+
+  if (versionId) {
+    apiPath = `${itemPath}/versions/${encodeURIComponent(versionId)}/content`;
+  } else if (format) {
+    apiPath = `${itemPath}/content?format=${format}`;
+  }
+
+  // Only the current content has a reported size and hash
+  const verify = !versionId && !format;
+  const sizeKnown = verify && typeof item.size === 'number';
+  const partPath = outputPath + PART_SUFFIX;
+  const statePath = getDownloadStatePath(apiPath, partPath);
+  let offset = getResumeOffset(partPath, statePath, item, sizeKnown);
+  let attempt = 0;
+
+  if (offset > 0) {
+    log(`Resuming download at ${offset} bytes (${partPath})`);
+  }
+
+  saveDownloadState(statePath, item, apiPath, partPath);
+
+  // A part file completed by an earlier run needs no request
+  while (!(sizeKnown && offset > 0 && offset === item.size)) {
+    try {
+      await fetchContent(client, apiPath, partPath, offset, log);
+    } catch (err) {
+      if (isDroppedConnection(err)) {
+        offset = await waitBeforeResume(partPath, attempt++, err.message, log);
+        continue;
+      }
+
+      if (err instanceof GraphError) {
+        if (!fs.existsSync(partPath)) {
+          removeState(statePath);
+        }
+        throw describeDownloadError(err, item, { versionId, format });
+      }
+
+      // Local errors (ENOSPC, EACCES) would fail the same way on a retry
+      throw err;
+    }
+
+    offset = fs.statSync(partPath).size;
+
+    // Without a known size (versions, conversions) the end of the
+    // response is the end of the file
+    if (!sizeKnown || offset >= item.size) {
+      break;
+    }
+
+    offset = await waitBeforeResume(partPath, attempt++, `Connection closed at ${offset} bytes`, log);
+  }
+
+  const remote = verify ? remoteHash(item) : null;
+
+  try {
+    if (verify) {
+      const size = fs.statSync(partPath).size;
+      checkContent(item, { size, hash: remote ? await hashFile(partPath, remote.type) : undefined });
+    }
+  } catch (err) {
+    // Corrupt content can't be resumed
+    fs.rmSync(partPath, { force: true });
+    removeState(statePath);
+
+    if (err instanceof IntegrityError) {
+      err.message = `Downloaded file is corrupt: ${err.message}`;
+      err.hint = 'The partial file was deleted. If the file was being edited, run the download again';
+    }
+    throw err;
+  }
+
+  fs.renameSync(partPath, outputPath);
+  removeState(statePath);
+  return remote;
+}
+
+/**
+ * GET the content from `offset` on and write it to the part file.
+ */
+async function fetchContent(client, apiPath, partPath, offset, log) {
+  let res;
+
+  try {
+    // Follows the redirect to the pre-authenticated download URL, which
+    // receives the Range header too
+    res = await client.stream('GET', apiPath, {
+      headers: offset > 0 ? { 'Range': `bytes=${offset}-` } : undefined
+    });
+  } catch (err) {
+    if (err.status === 416 && offset > 0) {
+      // The part file is longer than the content: start over
+      log('  Partial file doesn\'t fit the remote file, starting over');
+      return fetchContent(client, apiPath, partPath, 0, log);
+    }
+    throw err;
+  }
+
+  // 200 instead of 206: the range was ignored and the whole file follows
+  const append = offset > 0 && res.statusCode === 206;
+
+  if (offset > 0 && !append) {
+    log('  Server can\'t resume this download, starting over');
+  }
+
+  await pipeline(res, fs.createWriteStream(partPath, { flags: append ? 'a' : 'w' }));
+}
+
+/**
+ * Whether a download failed in transit and is worth resuming: a network
+ * error, a response that ended early, or a server error.
+ */
+function isDroppedConnection(err) {
+  if (err instanceof GraphError) {
+    return err.status >= 500;
+  }
+  return isNetworkError(err) || err.code === 'ERR_STREAM_PREMATURE_CLOSE';
+}
+
+/**
+ * Back off after a dropped connection.
+ *
+ * @returns {Promise<number>} Offset to resume at: the bytes on disk
+ */
+async function waitBeforeResume(partPath, attempt, reason, log) {
+  const bytes = partFileSize(partPath);
+
+  if (attempt >= MAX_RESUME_RETRIES) {
+    const err = new GraphError(`Download failed after ${MAX_RESUME_RETRIES} retries: ${reason}`);
+    err.hint = `${bytes} bytes are kept in ${partPath}; run the same command again to resume`;
+    throw err;
+  }
+
+  const delay = Math.min(1000 * 2 ** attempt, 30000);
+  log(`  ${reason}, resuming at ${bytes} bytes in ${delay / 1000}s...`);
+  await new Promise(resolve => setTimeout(resolve, delay));
+  return bytes;
+}
+
+function describeDownloadError(err, item, { versionId, format }) {
+  if (versionId && err.status === 404) {
+    const notFound = new GraphError(`Version not found: ${versionId}`, err);
+    notFound.hint = 'List the available versions with sharepoint-versions.js';
+    return notFound;
+  }
+  if (format && (err.status === 400 || err.status === 406)) {
+    return new GraphError(`Cannot convert ${item.name} to ${format}`, err);
+  }
+  return new GraphError('Download failed', err);
+}
+
+/**
+ * Bytes downloaded so far into a part file (0 if there is none).
+ */
+function partFileSize(partPath) {
+  return fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+}
+
+function getDownloadStatePath(apiPath, partPath) {
+  // One state file per (content, part file) so re-running the same command
+  // picks the interrupted download back up
+  const key = crypto.createHash('sha1')
+    .update(`${apiPath}\n${path.resolve(partPath)}`)
+    .digest('hex');
+
+  return path.join(DOWNLOAD_STATE_DIR, `${key}.json`);
+}
+
+/**
+ * Bytes of an earlier attempt that can be kept: only if the part file
+ * belongs to the same content (unchanged cTag). Anything else is removed.
+ */
+function getResumeOffset(partPath, statePath, item, sizeKnown) {
+  if (!fs.existsSync(partPath)) {
+    return 0;
+  }
+
+  const size = fs.statSync(partPath).size;
+  let state = null;
+
+  try {
+    state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+  } catch (err) {
+    // No state: the part file can't be trusted
+  }
+
+  if (state && state.cTag === item.cTag && (!sizeKnown || size <= item.size)) {
+    return size;
+  }
+
+  fs.rmSync(partPath, { force: true });
+  return 0;
+}
+
+function saveDownloadState(statePath, item, apiPath, partPath) {
+  fs.mkdirSync(DOWNLOAD_STATE_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(statePath, JSON.stringify({
+    source: apiPath,
+    partFile: path.resolve(partPath),
+    cTag: item.cTag,
+    size: item.size
+  }, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Call worker(item) for each item, with at most `concurrency` running at a
+ * time. Workers are expected to handle their own errors: a rejection stops
+ * new items from being started.
+ *
+ * @param {Array} items
+ * @param {number} concurrency
+ * @param {Function} worker - async (item) => void
+ */
+async function forEachParallel(items, concurrency, worker) {
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+}
+
+module.exports = {
+  SMALL_FILE_LIMIT,
+  PART_SUFFIX,
+  uploadFile,
+  downloadFile,
+  partFileSize,
+  forEachParallel
+};
@@ -16,14 +16,16 @@
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { parseEnv, expandHome, CONFIG_PATH } = require('./lib/credentials');
+const { loadCertificate, requestToken, getAccessToken } = require('./lib/auth');
+const { createClient } = require('./lib/graph-client');
+const { findSites } = require('./lib/sites');
 
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
 });
 
-const CONFIG_PATH = path.join(process.env.HOME, '.config/bobby/sharepoint.env');
 const SKILL_CONFIG_PATH = path.join(__dirname, '..', '.sharepoint-config.json');
 
 let config = {};
@@ -69,12 +71,13 @@ async function main() {
 
   // Step 5: Test site access
   console.log('\nStep 4: Testing site access...\n');
-  const siteAccess = await testSiteAccess(token, config.testSite || 'TeamSite');
+  config.testSite = await chooseSite(token) || 'TeamSite';
+  const siteAccess = await testSiteAccess(token, config.testSite);
   
   if (siteAccess.success) {
-    console.log(`✓ Successfully accessed site: ${config.testSite || 'TeamSite'}`);
+    console.log(`✓ Successfully accessed site: ${config.testSite}`);
   } else {
-    console.log(`✗ Could not access site: ${config.testSite || 'TeamSite'}`);
+    console.log(`✗ Could not access site: ${config.testSite}`);
     console.log(`  Error: ${siteAccess.error}`);
   }
 
@@ -90,29 +93,41 @@ async function main() {
   console.log('Your SharePoint skill is ready to use.');
   console.log('');
   console.log('Try these commands:');
-  console.log('  node scripts/sharepoint-list-files.js TeamSite');
-  console.log('  node scripts/sharepoint-download.js TeamSite "file.docx"');
+  console.log('  node scripts/sharepoint-sites.js list');
+  console.log(`  node scripts/sharepoint-list-files.js "${config.testSite}"`);
+  console.log(`  node scripts/sharepoint-download.js "${config.testSite}" "file.docx"`);
   console.log('');
 
   rl.close();
 }
 
 function loadCredentials() {
-  const envContent = fs.readFileSync(CONFIG_PATH, 'utf8');
-  
-  envContent.split('\n').forEach(line => {
-    const match = line.match(/^([^=]+)=(.*)$/);
-    if (match) {
-      const key = match[1].trim();
-      const value = match[2].trim().replace(/^['"]|['"]$/g, '');
-      config[key] = value;
-    }
-  });
+  Object.assign(config, parseEnv(fs.readFileSync(CONFIG_PATH, 'utf8')));
 
   // Map to standard names
   config.clientId = config.TEAMS_CLIENT_ID || config.CLIENT_ID;
   config.clientSecret = config.TEAMS_CLIENT_SECRET || config.CLIENT_SECRET;
+  config.certificatePath = expandHome(config.TEAMS_CERTIFICATE_PATH || config.CLIENT_CERTIFICATE_PATH);
+  config.privateKeyPath = expandHome(config.TEAMS_PRIVATE_KEY_PATH || config.CLIENT_PRIVATE_KEY_PATH);
+  config.privateKeyPassphrase = config.TEAMS_PRIVATE_KEY_PASSPHRASE || config.CLIENT_PRIVATE_KEY_PASSPHRASE;
   config.tenantId = config.TEAMS_TENANT_ID || config.TENANT || config.SHAREPOINT_TENANT;
+  config.authMode = (config.TEAMS_AUTH_MODE || config.AUTH_MODE)?.toLowerCase();
+  config.delegatedScopes = config.DELEGATED_SCOPES;
+}
+
+// Credentials in the shape lib/auth.js and lib/graph-client.js expect
+function getCredentials() {
+  return {
+    tenantId: config.tenantId,
+    tenant: config.tenantId.replace('.onmicrosoft.com', ''),
+    clientId: config.clientId,
+    clientSecret: config.certificatePath ? undefined : config.clientSecret,
+    certificatePath: config.certificatePath,
+    privateKeyPath: config.privateKeyPath,
+    privateKeyPassphrase: config.privateKeyPassphrase,
+    authMode: config.authMode,
+    delegatedScopes: config.delegatedScopes
+  };
 }
 
 async function promptForCredentials() {
@@ -128,14 +143,35 @@ async function promptForCredentials() {
     console.log(`  Client ID: ${config.clientId}`);
   }
 
-  if (!config.clientSecret) {
-    config.clientSecret = await question('Enter your Client Secret: ');
-  } else {
-    console.log(`  Client Secret: ****${config.clientSecret.slice(-4)}`);
+  if (!config.authMode) {
+    if (config.certificatePath || config.clientSecret) {
+      config.authMode = 'app';
+    } else {
+      const mode = await question('Access mode: (1) app-only with client secret or certificate, or (2) delegated sign-in as a user (device code)? [1]: ');
+      config.authMode = mode === '2' ? 'delegated' : 'app';
+    }
   }
 
-  if (!config.testSite) {
-    config.testSite = await question('Enter a SharePoint site to test (e.g., TeamSite): ');
+  console.log(`  Access mode: ${config.authMode === 'delegated' ? 'delegated (device code sign-in)' : 'app-only'}`);
+
+  if (config.authMode === 'delegated') {
+    // Public client: no secret or certificate
+  } else if (config.certificatePath) {
+    console.log(`  Certificate: ${config.certificatePath}`);
+    if (config.privateKeyPath) {
+      console.log(`  Private key: ${config.privateKeyPath}`);
+    }
+  } else if (config.clientSecret) {
+    console.log(`  Client Secret: ****${config.clientSecret.slice(-4)}`);
+  } else {
+    const method = await question('Authenticate with (1) client secret or (2) certificate? [1]: ');
+
+    if (method === '2') {
+      config.certificatePath = expandHome(await question('Enter the path to the certificate (PEM): '));
+      config.privateKeyPath = expandHome(await question('Enter the path to the private key (PEM, blank if in the certificate file): ')) || undefined;
+    } else {
+      config.clientSecret = await question('Enter your Client Secret: ');
+    }
   }
 }
 
@@ -148,55 +184,35 @@ function question(prompt) {
 }
 
 async function testAuthentication() {
-  return new Promise((resolve) => {
-    const tokenUrl = 'login.microsoftonline.com';
-    const tokenPath = `/${config.tenantId}/oauth2/v2.0/token`;
-
-    const postData = new URLSearchParams({
-      grant_type: 'client_credentials',
-      client_id: config.clientId,
-      client_secret: config.clientSecret,
-      scope: 'https://graph.microsoft.com/.default'
-    }).toString();
-
-    const options = {
-      hostname: tokenUrl,
-      port: 443,
-      path: tokenPath,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Content-Length': Buffer.byteLength(postData)
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          const token = JSON.parse(data);
-          resolve(token.access_token);
-        } else {
-          console.error(`  Authentication failed: ${res.statusCode}`);
-          console.error(`  ${data}`);
-          resolve(null);
-        }
+  try {
+    if (config.authMode === 'delegated') {
+      // Re-validates a stored sign-in via its refresh token, or starts a
+      // device code sign-in if there is none
+      return await getAccessToken(getCredentials(), {
+        forceRefresh: true,
+        onPrompt: message => console.log(`  ${message}\n`)
       });
-    });
+    }
 
-    req.on('error', (e) => {
-      console.error(`  Error: ${e.message}`);
-      resolve(null);
-    });
+    if (config.certificatePath) {
+      // Fail early with a clear message if the files are unreadable or
+      // the key doesn't belong to the certificate
+      const { certificate } = loadCertificate(getCredentials());
+      console.log(`  Certificate thumbprint: ${certificate.fingerprint.replace(/:/g, '')}`);
+      console.log(`  Valid until: ${certificate.validTo}`);
+    }
 
-    req.write(postData);
-    req.end();
-  });
+    const token = await requestToken(getCredentials());
+    return token.access_token;
+  } catch (err) {
+    if (err.status) {
+      console.error(`  Authentication failed: ${err.status}`);
+      console.error(`  ${err.body}`);
+    } else {
+      console.error(`  Error: ${err.message}`);
+    }
+    return null;
+  }
 }
 
 async function testPermissions(token) {
@@ -208,7 +224,13 @@ async function testPermissions(token) {
 
   try {
     const payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
-    const roles = payload.roles || [];
+    const delegated = config.authMode === 'delegated';
+
+    // App-only tokens list application permissions in `roles`; delegated
+    // tokens list the user's consented scopes in `scp`
+    const roles = delegated
+      ? (payload.scp || '').split(' ').filter(Boolean)
+      : (payload.roles || []);
     
     const requiredPermissions = [
       'Sites.Read.All',
@@ -222,7 +244,13 @@ async function testPermissions(token) {
       results[perm] = roles.includes(perm);
     });
 
-    return { valid: true, permissions: results, roles };
+    return {
+      valid: true,
+      permissions: results,
+      roles,
+      delegated,
+      user: payload.upn || payload.preferred_username || payload.unique_name
+    };
   } catch (err) {
     return { valid: false, error: err.message };
   }
@@ -237,6 +265,11 @@ function displayPermissionResults(permissions) {
     return;
   }
 
+  if (permissions.delegated) {
+    displayDelegatedScopes(permissions);
+    return;
+  }
+
   console.log('Checking required permissions:\n');
 
   const checks = [
@@ -271,68 +304,119 @@ function displayPermissionResults(permissions) {
   }
 }
 
-async function testSiteAccess(token, siteName) {
-  return new Promise((resolve) => {
-    const hostname = 'graph.microsoft.com';
-    
-    // Extract tenant from config
-    let tenant = config.tenantId.replace('.onmicrosoft.com', '');
-    const siteId = `${tenant}.sharepoint.com:/sites/${siteName}`;
-    const apiPath = `/v1.0/sites/${siteId}`;
-
-    const options = {
-      hostname,
-      port: 443,
-      path: apiPath,
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Accept': 'application/json'
-      }
-    };
+function displayDelegatedScopes(permissions) {
+  console.log(`Signed in as: ${permissions.user || 'unknown user'}\n`);
+  console.log('Checking delegated scopes:\n');
 
-    const req = https.request(options, (res) => {
-      let data = '';
+  const checks = ['Sites.Read.All', 'Sites.ReadWrite.All', 'Files.Read.All', 'Files.ReadWrite.All'];
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+  checks.forEach(name => {
+    const symbol = permissions.permissions[name] ? '✓' : '✗';
+    console.log(`  ${symbol} ${name}`);
+  });
 
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          const site = JSON.parse(data);
-          resolve({ success: true, site });
-        } else {
-          try {
-            const error = JSON.parse(data);
-            resolve({ success: false, error: error.error?.message || 'Unknown error' });
-          } catch {
-            resolve({ success: false, error: data });
-          }
-        }
-      });
-    });
+  const others = permissions.roles.filter(scope => !checks.includes(scope));
+  if (others.length > 0) {
+    console.log(`\n  Also granted: ${others.join(', ')}`);
+  }
 
-    req.on('error', (e) => {
-      resolve({ success: false, error: e.message });
-    });
+  console.log('');
+
+  // Either scope of each pair gives read access; the user's own SharePoint
+  // permissions still decide what they can actually reach
+  const p = permissions.permissions;
+  const hasRequired = (p['Sites.Read.All'] || p['Sites.ReadWrite.All']) &&
+    (p['Files.Read.All'] || p['Files.ReadWrite.All']);
 
-    req.end();
+  if (!hasRequired) {
+    console.log('⚠ WARNING: Missing required scopes!');
+    console.log('');
+    console.log('To add scopes:');
+    console.log('1. Go to Azure Portal → App Registrations');
+    console.log(`2. Find app: ${config.clientId}`);
+    console.log('3. API Permissions → Add permission → Microsoft Graph → Delegated permissions');
+    console.log('4. Add: Sites.Read.All, Files.Read.All (minimum)');
+    console.log('5. Authentication → Allow public client flows → Yes');
+    console.log('6. Run: node scripts/sharepoint-auth.js --login');
+    console.log('');
+  }
+}
+
+/**
+ * Let the user pick one of the sites the app can see, or type one.
+ */
+async function chooseSite(token) {
+  const client = createClient({
+    credentials: getCredentials(),
+    accessToken: token
   });
+  let sites = [];
+
+  try {
+    ({ sites } = await findSites(client, '*', { limit: 20 }));
+  } catch (err) {
+    // No search permission or no sites indexed yet: ask for a name
+  }
+
+  if (sites.length === 0) {
+    return question('Enter a SharePoint site to test (e.g., TeamSite): ');
+  }
+
+  console.log('  Sites this app can access:');
+  sites.forEach((site, index) => console.log(`  ${index + 1}. ${site.name} (${site.webUrl})`));
+  console.log('');
+
+  const answer = await question('Pick a site to test by number, or enter a site name or URL [1]: ');
+  const index = Number(answer || 1);
+
+  return Number.isInteger(index) && index >= 1 && index <= sites.length ? sites[index - 1].siteRef : answer;
+}
+
+async function testSiteAccess(token, siteName) {
+  const client = createClient({
+    credentials: getCredentials(),
+    accessToken: token
+  });
+
+  try {
+    const site = await client.request('GET', `/sites/${await client.getSiteId(siteName)}`);
+    return { success: true, site };
+  } catch (err) {
+    return { success: false, error: err.body?.error?.message || err.body || err.message };
+  }
 }
 
 function saveConfiguration() {
   // Save to ~/.config/bobby/sharepoint.env
   const envDir = path.dirname(CONFIG_PATH);
   if (!fs.existsSync(envDir)) {
-    fs.mkdirSync(envDir, { recursive: true });
+    fs.mkdirSync(envDir, { recursive: true, mode: 0o700 });
+  }
+
+  let authLines;
+
+  if (config.authMode === 'delegated') {
+    authLines = ['TEAMS_AUTH_MODE=delegated'];
+    if (config.delegatedScopes) {
+      authLines.push(`DELEGATED_SCOPES=${config.delegatedScopes}`);
+    }
+  } else if (config.certificatePath) {
+    authLines = [`TEAMS_CERTIFICATE_PATH=${config.certificatePath}`];
+    if (config.privateKeyPath) {
+      authLines.push(`TEAMS_PRIVATE_KEY_PATH=${config.privateKeyPath}`);
+    }
+    if (config.privateKeyPassphrase) {
+      authLines.push(`TEAMS_PRIVATE_KEY_PASSPHRASE=${config.privateKeyPassphrase}`);
+    }
+  } else {
+    authLines = [`TEAMS_CLIENT_SECRET=${config.clientSecret}`];
   }
 
   const envContent = `# SharePoint Skill Configuration
 # Generated by setup.js on ${new Date().toISOString()}
 
 TEAMS_CLIENT_ID=${config.clientId}
-TEAMS_CLIENT_SECRET=${config.clientSecret}
+${authLines.join('\n')}
 TEAMS_TENANT_ID=${config.tenantId}
 
 # Legacy compatibility
@@ -340,7 +424,10 @@ SHAREPOINT_TENANT=${config.tenantId.replace('.onmicrosoft.com', '')}
 SHAREPOINT_BASE_URL=https://${config.tenantId.replace('.onmicrosoft.com', '')}.sharepoint.com
 `;
 
-  fs.writeFileSync(CONFIG_PATH, envContent);
+  // Holds the client secret or key passphrase: owner-only, also when an
+  // older file with the default permissions is overwritten
+  fs.writeFileSync(CONFIG_PATH, envContent, { mode: 0o600 });
+  fs.chmodSync(CONFIG_PATH, 0o600);
   console.log(`✓ Saved credentials: ${CONFIG_PATH}`);
 
   // Save skill-specific config
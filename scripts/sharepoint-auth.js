@@ -5,97 +5,47 @@
  * 
  * Usage:
  *   node sharepoint-auth.js
+ *   node sharepoint-auth.js --force-refresh  # Ignore the cached access token
+ *   node sharepoint-auth.js --login          # Delegated mode: sign in again
+ *   node sharepoint-auth.js --logout         # Delegated mode: forget the sign-in
  *   
  * Returns: Access token (stdout)
  * 
  * Credentials from: ~/.config/bobby/sharepoint.env
+ *
+ * Tokens are cached in ~/.config/bobby/sharepoint-token-cache.json and
+ * reused until shortly before they expire. With AUTH_MODE=delegated, the
+ * first run prints a device code sign-in prompt on stderr.
+ *
+ * Node code should use lib/auth.js (or lib/graph-client.js) directly
+ * instead of spawning this script.
  */
 
-const https = require('https');
-const fs = require('fs');
-const path = require('path');
+const { loadCredentials } = require('./lib/credentials');
+const { getAccessToken, signOut } = require('./lib/auth');
+const { fail } = require('./lib/cli');
 
-// Load credentials
-const envPath = path.join(process.env.HOME, '.config/bobby/sharepoint.env');
+const args = process.argv.slice(2);
 
-if (!fs.existsSync(envPath)) {
-  console.error('ERROR: SharePoint credentials not found');
-  console.error(`Expected: ${envPath}`);
-  process.exit(1);
-}
-
-const envContent = fs.readFileSync(envPath, 'utf8');
-const credentials = {};
+async function main() {
+  const credentials = loadCredentials();
 
-envContent.split('\n').forEach(line => {
-  const match = line.match(/^([^=]+)=(.*)$/);
-  if (match) {
-    credentials[match[1].trim()] = match[2].trim().replace(/^['"]|['"]$/g, '');
+  if (args.includes('--logout')) {
+    signOut(credentials);
+    console.error('✓ Signed out');
+    return;
   }
-});
-
-const TENANT = credentials.TEAMS_TENANT_ID || credentials.TENANT;
-const CLIENT_ID = credentials.TEAMS_CLIENT_ID || credentials.CLIENT_ID;
-const CLIENT_SECRET = credentials.TEAMS_CLIENT_SECRET || credentials.CLIENT_SECRET;
-
-if (!TENANT) {
-  console.error('ERROR: Missing TEAMS_TENANT_ID or TENANT in sharepoint.env');
-  console.error('Run setup.js to configure credentials');
-  process.exit(1);
-}
-
-if (!CLIENT_ID || !CLIENT_SECRET) {
-  console.error('ERROR: Missing TEAMS_CLIENT_ID/CLIENT_ID or TEAMS_CLIENT_SECRET/CLIENT_SECRET in sharepoint.env');
-  console.error('Run setup.js to configure credentials');
-  process.exit(1);
-}
 
-// Request token
-const tokenUrl = `login.microsoftonline.com`;
-const tokenPath = `/${TENANT}/oauth2/v2.0/token`;
-
-const postData = new URLSearchParams({
-  grant_type: 'client_credentials',
-  client_id: CLIENT_ID,
-  client_secret: CLIENT_SECRET,
-  scope: 'https://graph.microsoft.com/.default'
-}).toString();
-
-const options = {
-  hostname: tokenUrl,
-  port: 443,
-  path: tokenPath,
-  method: 'POST',
-  headers: {
-    'Content-Type': 'application/x-www-form-urlencoded',
-    'Content-Length': Buffer.byteLength(postData)
+  if (args.includes('--login') && credentials.authMode !== 'delegated') {
+    console.error('ERROR: --login requires AUTH_MODE=delegated in sharepoint.env');
+    process.exit(1);
   }
-};
 
-const req = https.request(options, (res) => {
-  let data = '';
-
-  res.on('data', (chunk) => {
-    data += chunk;
+  const token = await getAccessToken(credentials, {
+    forceRefresh: args.includes('--force-refresh'),
+    login: args.includes('--login')
   });
+  console.log(token);
+}
 
-  res.on('end', () => {
-    if (res.statusCode === 200) {
-      const token = JSON.parse(data);
-      console.log(token.access_token);
-    } else {
-      console.error('ERROR: Token request failed');
-      console.error(`Status: ${res.statusCode}`);
-      console.error(data);
-      process.exit(1);
-    }
-  });
-});
-
-req.on('error', (e) => {
-  console.error(`ERROR: ${e.message}`);
-  process.exit(1);
-});
-
-req.write(postData);
-req.end();
+main().catch(fail);
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Check-out / Check-in
+ * Checks files out, back in (with a comment), or discards a check-out via
+ * Microsoft Graph API, for libraries that require check-out
+ * 
+ * Usage:
+ *   node sharepoint-checkout.js <site-name|url> <file-path> [options]
+ *   node sharepoint-checkout.js <file-url> [options]
+ *   node sharepoint-checkout.js TeamSite "Policies/handbook.docx"
+ *   node sharepoint-checkout.js TeamSite "Policies/handbook.docx" --checkin --comment "Updated leave policy"
+ *   node sharepoint-checkout.js TeamSite "Policies/handbook.docx" --discard
+ * 
+ * Without --checkin or --discard, checks the file out. To replace a file
+ * in one step, use sharepoint-upload.js --checkout.
+ * 
+ * Options:
+ *   --library <name>  Document library name, URL segment or drive ID
+ *                     (default: the site's default library)
+ *   --checkin         Check the file back in
+ *   --comment <text>  Version comment for --checkin
+ *   --publish         With --checkin: publish as a major version
+ *   --discard         Discard the check-out and any changes made under it
+ * 
+ * Output: Confirmation
+ */
+
+const { createClient } = require('./lib/graph-client');
+const { checkOut, checkIn, discardCheckout } = require('./lib/checkout');
+const { isUrl } = require('./lib/locations');
+const { parseCommandLine, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-checkout.js <site-name|url> <file-path> [--checkin [--comment <text>] [--publish] | --discard] [--library <name>]');
+  console.error('       node sharepoint-checkout.js <file-url> [--checkin | --discard]');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-checkout.js TeamSite "Policies/handbook.docx"');
+  console.error('  node sharepoint-checkout.js TeamSite "Policies/handbook.docx" --checkin --comment "Updated leave policy"');
+  console.error('  node sharepoint-checkout.js TeamSite "Policies/handbook.docx" --discard');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  checkin: { type: 'boolean' },
+  comment: { type: 'string' },
+  publish: { type: 'boolean' },
+  discard: { type: 'boolean' }
+}, usage);
+
+// A file URL needs no separate file path
+if (positionals.length < (isUrl(positionals[0] || '') ? 1 : 2)) {
+  usage();
+  process.exit(1);
+}
+
+if (values.checkin && values.discard) {
+  console.error('ERROR: --checkin and --discard are mutually exclusive');
+  process.exit(1);
+}
+
+if (!values.checkin && (values.comment !== undefined || values.publish)) {
+  console.error('ERROR: --comment and --publish are only used with --checkin');
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+
+async function main() {
+  const client = createClient();
+
+  const target = await client.resolveItem(siteRef, positionals[1], { library: values.library });
+  const filePath = target.path || target.item.name;
+
+  if (!target.item.file) {
+    console.error(`ERROR: Not a file: ${filePath}`);
+    process.exit(1);
+  }
+
+  if (values.checkin) {
+    await checkIn(client, target.driveId, target.item.id, { comment: values.comment, publish: values.publish });
+    console.log(`✓ Checked in: ${filePath}`);
+  } else if (values.discard) {
+    await discardCheckout(client, target.driveId, target.item.id);
+    console.log(`✓ Discarded check-out: ${filePath}`);
+  } else {
+    await checkOut(client, target.driveId, target.item.id);
+    console.log(`✓ Checked out: ${filePath}`);
+  }
+}
+
+main().catch(fail);
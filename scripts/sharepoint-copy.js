@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Copy Item
+ * Copies a file or folder via Microsoft Graph API, within a library or to
+ * another library or site, and waits for the copy to finish
+ * 
+ * Usage:
+ *   node sharepoint-copy.js <site-name|url> <source-path> <destination-folder> [options]
+ *   node sharepoint-copy.js <item-url> <destination-folder> [options]
+ *   node sharepoint-copy.js TeamSite "Templates/report.docx" "Reports/2026" --name "q1.docx"
+ *   node sharepoint-copy.js TeamSite "Reports/2026" "/" --to-library Archive
+ *   node sharepoint-copy.js TeamSite "Reports/q1.docx" "Incoming" --to-site Finance
+ * 
+ * The destination folder is relative to the destination library root
+ * ("/" for the root), or to the --to-site URL if it points at a folder.
+ * It must exist (see sharepoint-mkdir.js).
+ * 
+ * Graph copies asynchronously: the script polls the copy's monitor URL,
+ * printing progress to stderr, until the copy has completed.
+ * 
+ * Options:
+ *   --library <name>     Source library (default: the site's default library)
+ *   --to-site <site>     Destination site name or URL (default: source site)
+ *   --to-library <name>  Destination library (default: the source library,
+ *                        or the default library of --to-site)
+ *   --name <name>        Name of the copy (default: the source name)
+ *   --conflict <mode>    If the destination has an item with that name:
+ *                        fail (default), replace or rename
+ *   --no-wait            Print the monitor URL and exit without waiting
+ * 
+ * Exit codes:
+ *   0  Copied (or started, with --no-wait)
+ *   1  Error
+ *   3  An item with that name already exists at the destination
+ * 
+ * Output: Confirmation with the path and URL of the copy
+ */
+
+const { createClient, readBody } = require('./lib/graph-client');
+const { GraphError } = require('./lib/errors');
+const { isUrl, joinRemotePath } = require('./lib/locations');
+const { EXIT_CONFLICT, parseCommandLine, isConflictError, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-copy.js <site-name|url> <source-path> <destination-folder> [options]');
+  console.error('       node sharepoint-copy.js <item-url> <destination-folder> [options]');
+  console.error('Options: --to-site <site>  --to-library <name>  --name <new-name>');
+  console.error('         --conflict fail|replace|rename  --library <name>  --no-wait');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-copy.js TeamSite "Templates/report.docx" "Reports/2026" --name "q1.docx"');
+  console.error('  node sharepoint-copy.js TeamSite "Reports/2026" "/" --to-library Archive');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  'to-site': { type: 'string' },
+  'to-library': { type: 'string' },
+  name: { type: 'string' },
+  conflict: { type: 'string', default: 'fail' },
+  'no-wait': { type: 'boolean' }
+}, usage);
+
+const CONFLICT_BEHAVIORS = ['fail', 'replace', 'rename'];
+
+if (!CONFLICT_BEHAVIORS.includes(values.conflict)) {
+  console.error(`ERROR: --conflict must be one of: ${CONFLICT_BEHAVIORS.join(', ')}`);
+  process.exit(1);
+}
+
+// An item URL needs no separate source path
+const urlIsItem = isUrl(positionals[0] || '') && positionals.length === 2;
+
+if (positionals.length < (urlIsItem ? 2 : 3)) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+const sourceArg = urlIsItem ? undefined : positionals[1];
+const destinationArg = positionals[positionals.length - 1];
+
+async function main() {
+  const client = createClient();
+
+  const source = await client.resolveItem(siteRef, sourceArg, { library: values.library });
+  const destination = await resolveDestination(client, source);
+
+  if (!destination.item.folder) {
+    console.error(`ERROR: Destination is not a folder: ${destinationArg}`);
+    process.exit(1);
+  }
+
+  const name = values.name || source.item.name;
+  const monitorUrl = await startCopy(client, source, destination, values.name);
+
+  console.error(`Copying: ${source.path} → ${joinRemotePath(destination.path, name)}`);
+
+  if (values['no-wait']) {
+    console.log('✓ Copy started');
+    console.log(`  Monitor: ${monitorUrl}`);
+    return;
+  }
+
+  const status = await client.waitForOperation(monitorUrl, {
+    onProgress: (progress) => {
+      if (progress.percentageComplete !== undefined) {
+        console.error(`  Progress: ${Math.floor(progress.percentageComplete)}%`);
+      }
+    }
+  });
+
+  const copy = await getCopiedItem(client, status, destination, name);
+
+  console.log(`✓ Copied: ${source.path} → ${joinRemotePath(destination.path, copy.name)}`);
+  console.log(`  URL: ${copy.webUrl}`);
+}
+
+async function resolveDestination(client, source) {
+  if (values['to-site']) {
+    return client.resolveItem(values['to-site'], destinationArg, { library: values['to-library'] });
+  }
+
+  const driveId = values['to-library']
+    ? await client.resolveDrive(source.siteId, values['to-library'])
+    : source.driveId;
+  const destinationPath = joinRemotePath(destinationArg);
+
+  return { driveId, path: destinationPath, item: await client.getItem(driveId, destinationPath) };
+}
+
+/**
+ * Start the copy and return the monitor URL Graph answers with.
+ */
+async function startCopy(client, source, destination, newName) {
+  const body = { parentReference: { driveId: destination.driveId, id: destination.item.id } };
+
+  if (newName) {
+    body.name = newName;
+  }
+
+  const res = await client.send(
+    'POST',
+    `/drives/${source.driveId}/items/${source.item.id}/copy?@microsoft.graph.conflictBehavior=${values.conflict}`,
+    { body }
+  );
+  const data = await readBody(res);
+
+  if (res.statusCode !== 202 || !res.headers.location) {
+    throw GraphError.fromResponse(res, data, 'Copy failed');
+  }
+
+  return res.headers.location;
+}
+
+async function getCopiedItem(client, status, destination, name) {
+  if (status.resourceId) {
+    return client.request('GET', `/drives/${destination.driveId}/items/${status.resourceId}`);
+  }
+
+  if (status.resourceLocation) {
+    return client.request('GET', status.resourceLocation);
+  }
+
+  return client.getItem(destination.driveId, joinRemotePath(destination.path, name));
+}
+
+main().catch(err => fail(err, isConflictError(err) ? EXIT_CONFLICT : 1));
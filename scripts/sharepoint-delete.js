@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Delete Item
+ * Deletes a file or folder via Microsoft Graph API. Items go to the site's
+ * recycle bin unless --permanent is given.
+ * 
+ * Usage:
+ *   node sharepoint-delete.js <site-name|url> <path> [options]
+ *   node sharepoint-delete.js <item-url> [options]
+ *   node sharepoint-delete.js TeamSite "Temp/scratch.xlsx"
+ *   node sharepoint-delete.js TeamSite "Temp" --permanent
+ * 
+ * Options:
+ *   --library <name>  Document library name, URL segment or drive ID
+ *                     (default: the site's default library)
+ *   --permanent       Delete permanently instead of moving to the recycle
+ *                     bin. This cannot be undone.
+ * 
+ * Output: Confirmation of the deleted path
+ */
+
+const { createClient } = require('./lib/graph-client');
+const { isUrl } = require('./lib/locations');
+const { parseCommandLine, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-delete.js <site-name|url> <path> [--permanent] [--library <name>]');
+  console.error('       node sharepoint-delete.js <item-url> [--permanent]');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-delete.js TeamSite "Temp/scratch.xlsx"');
+  console.error('  node sharepoint-delete.js TeamSite "Temp" --permanent');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  permanent: { type: 'boolean' }
+}, usage);
+
+// An item URL needs no separate path
+if (positionals.length < (isUrl(positionals[0] || '') ? 1 : 2)) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+
+async function main() {
+  const client = createClient();
+
+  const target = await client.resolveItem(siteRef, positionals[1], { library: values.library });
+
+  if (target.item.root) {
+    console.error('ERROR: The library root cannot be deleted');
+    process.exit(1);
+  }
+
+  const itemUrl = `/drives/${target.driveId}/items/${target.item.id}`;
+
+  if (values.permanent) {
+    await client.request('POST', `${itemUrl}/permanentDelete`);
+    console.log(`✓ Permanently deleted: ${target.path || target.item.name}`);
+  } else {
+    await client.request('DELETE', itemUrl);
+    console.log(`✓ Moved to recycle bin: ${target.path || target.item.name}`);
+  }
+}
+
+main().catch(fail);
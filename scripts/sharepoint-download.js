@@ -4,198 +4,497 @@
  * Downloads a file from SharePoint via Microsoft Graph API
  * 
  * Usage:
- *   node sharepoint-download.js <site-name> <file-path> [output-path]
+ *   node sharepoint-download.js <site-name> <file-path> [output-path] [options]
+ *   node sharepoint-download.js <file-url> [output-path] [options]
  *   node sharepoint-download.js TeamSite "Shared Documents/General/document.docx" ./report.docx
  *   node sharepoint-download.js TeamSite "document.pdf"  # Downloads to ./document.pdf
+ *   node sharepoint-download.js TeamSite "2026/nda.pdf" --library Contracts
+ *   node sharepoint-download.js "https://contoso.sharepoint.com/teams/Mk/Shared%20Documents/plan.docx"
+ *   node sharepoint-download.js TeamSite "report.docx" ./report-v3.docx --version 3.0
+ *   node sharepoint-download.js TeamSite "General/report.docx" --format pdf  # Saves ./report.pdf
+ *   node sharepoint-download.js TeamSite "Reports" ./reports --include "*.pdf"
+ *   node sharepoint-download.js TeamSite "Reports" reports.zip --include "2026/**"
+ *   node sharepoint-download.js TeamSite "" ./out --from paths.txt
  * 
- * Output: Downloaded file
+ * The site can be a name, a URL of a site, library or folder (the file
+ * path is then relative to it), or the URL/sharing link of the file itself.
+ * 
+ * Bulk downloads (--include, --exclude or --from) take a folder instead of
+ * a file: the files under it that match the patterns, or the paths listed
+ * in a file (relative to the folder). They are saved under the output
+ * directory (default: the current one) with the remote folder structure,
+ * or packed into an archive if the output ends in .zip, .tar, .tar.gz or
+ * .tgz. A JSON manifest of the downloaded files is printed to stdout.
+ * 
+ * Options:
+ *   --library <name>  Document library name, URL segment or drive ID
+ *                     (default: the site's default library)
+ *   --version <id>    Download a previous version instead of the current
+ *                     one (IDs from sharepoint-versions.js)
+ *   --format <format> Have SharePoint convert the file: pdf, html or jpg.
+ *                     The output name gets the matching extension.
+ *   --include <glob>  Bulk: download the files under the folder (and its
+ *                     subfolders) that match the pattern (repeatable)
+ *   --exclude <glob>  Bulk: skip files matching the pattern (repeatable);
+ *                     excluded folders are not descended into
+ *   --from <file>     Bulk: download the paths listed in a file ("-" for
+ *                     stdin): the JSON output of list-files or search, or
+ *                     one path per line. Entries of search --all-libraries
+ *                     come from their library (relative to its root) and
+ *                     are saved under a folder named after it
+ *   --parallel <n>    Bulk: files downloaded at a time (default: 4)
+ * 
+ * Patterns without a "/" match the file name, patterns with a "/" match
+ * the path relative to the folder ("**" spans folders).
+ * 
+ * If the output path is an existing directory (or ends in "/"), the file
+ * is saved there under its own name.
+ * 
+ * The current version is checked against the size and content hash
+ * (quickXorHash) SharePoint reports for the file; on a mismatch the file
+ * is deleted. Converted files and previous versions have no reported
+ * hash and are not verified.
+ * 
+ * The file is written to "<output>.part" and renamed into place once it
+ * is complete. Dropped connections are resumed with Range requests; after
+ * an interrupt (Ctrl+C) or a failure, running the same command again
+ * continues from the bytes already downloaded (state is kept in
+ * ~/.config/bobby/sharepoint-downloads/).
+ * 
+ * Exit codes:
+ *   0  Downloaded
+ *   1  Error (bulk: at least one file failed)
+ *   4  Downloaded content didn't match the remote file (deleted)
+ *   130 Interrupted (the part file is kept for resuming)
+ * 
+ * Output: Downloaded file, with the eTag/cTag of the downloaded version
+ * (pass the eTag to sharepoint-upload.js --if-match to overwrite safely)
  */
 
-const https = require('https');
 const fs = require('fs');
-const { execSync } = require('child_process');
+const os = require('os');
 const path = require('path');
+const { createClient } = require('./lib/graph-client');
+const { GraphError, IntegrityError } = require('./lib/errors');
+const { PART_SUFFIX, downloadFile, partFileSize, forEachParallel } = require('./lib/transfers');
+const { archiveFormat, writeArchive } = require('./lib/archive');
+const { createMatcher } = require('./lib/glob');
+const { isUrl, splitPath, joinRemotePath } = require('./lib/locations');
+const { EXIT_MISMATCH, parseCommandLine, parsePositiveInt, fail } = require('./lib/cli');
 
-const args = process.argv.slice(2);
-
-if (args.length < 2) {
-  console.error('Usage: node sharepoint-download.js <site-name> <file-path> [output-path]');
+function usage() {
+  console.error('Usage: node sharepoint-download.js <site-name|url> <file-path> [output-path] [--library <name>]');
+  console.error('       node sharepoint-download.js <file-url|sharing-link> [output-path]');
+  console.error('       node sharepoint-download.js <site-name|url> <folder-path> [output-dir|archive] --include <glob> | --from <file>');
   console.error('');
   console.error('Examples:');
   console.error('  node sharepoint-download.js TeamSite "document.docx"');
   console.error('  node sharepoint-download.js TeamSite "General/document.docx" ./downloads/report.docx');
+  console.error('  node sharepoint-download.js TeamSite "2026/nda.pdf" --library Contracts');
+  console.error('  node sharepoint-download.js "https://contoso.sharepoint.com/:w:/s/TeamSite/Eabc..."');
+  console.error('  node sharepoint-download.js TeamSite "report.docx" ./report-v3.docx --version 3.0');
+  console.error('  node sharepoint-download.js TeamSite "General/report.docx" ./pdfs/ --format pdf');
+  console.error('  node sharepoint-download.js TeamSite "Reports" ./reports --include "*.pdf" --parallel 8');
+  console.error('  node sharepoint-download.js TeamSite "Reports" reports.zip --include "2026/**" --exclude "*.tmp"');
+  console.error('  node sharepoint-download.js TeamSite "" ./out --from paths.txt');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  version: { type: 'string' },
+  format: { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  from: { type: 'string' },
+  parallel: { type: 'string' }
+}, usage);
+
+const FORMATS = ['pdf', 'html', 'jpg'];
+
+// Exit code after Ctrl+C (128 + SIGINT), the part file kept for resuming
+const EXIT_INTERRUPTED = 130;
+
+if (values.format && !FORMATS.includes(values.format)) {
+  console.error(`ERROR: --format must be one of: ${FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+if (values.format && values.version) {
+  console.error('ERROR: --format can\'t be combined with --version');
   process.exit(1);
 }
 
-const siteName = args[0];
-const filePath = args[1];
-const outputPath = args[2] || `./${path.basename(filePath)}`;
+const bulk = !!(values.include || values.exclude || values.from);
+const parallel = parsePositiveInt(values.parallel, '--parallel') || 4;
 
-// Get access token
-const authScript = path.join(__dirname, 'sharepoint-auth.js');
-let token;
+if (values.from && (values.include || values.exclude)) {
+  console.error('ERROR: --from can\'t be combined with --include or --exclude');
+  process.exit(1);
+}
 
-try {
-  token = execSync(`node ${authScript}`, { encoding: 'utf8' }).trim();
-} catch (err) {
-  console.error('ERROR: Failed to get access token');
-  console.error(err.message);
+if (bulk && values.version) {
+  console.error('ERROR: --version only applies to single files');
   process.exit(1);
 }
 
-// Get tenant
-const getTenantScript = path.join(__dirname, 'get-tenant.js');
-let tenant;
+if (values.parallel && !bulk) {
+  console.error('ERROR: --parallel is only used with --include, --exclude or --from');
+  process.exit(1);
+}
 
-try {
-  tenant = execSync(`node ${getTenantScript}`, { encoding: 'utf8' }).trim();
-} catch (err) {
-  console.error('ERROR: Failed to get tenant');
-  console.error(err.message);
+// A file URL needs no separate file path, a bulk download no folder
+if (positionals.length < (isUrl(positionals[0] || '') || bulk ? 1 : 2)) {
+  usage();
   process.exit(1);
 }
 
-// Graph API request
-const hostname = 'graph.microsoft.com';
-const siteId = `${tenant}.sharepoint.com:/sites/${siteName}`;
+const siteRef = positionals[0];
 
-// Get site ID -> drive ID -> download file
-getSiteId(siteId, token, (actualSiteId) => {
-  getDriveId(actualSiteId, token, (driveId) => {
-    downloadFile(driveId, filePath, token, outputPath);
-  });
-});
-
-function getSiteId(site, token, callback) {
-  const apiPath = `/v1.0/sites/${site}`;
-  
-  makeRequest(hostname, apiPath, token, (data) => {
-    if (data.id) {
-      callback(data.id);
-    } else {
-      console.error('ERROR: Site not found');
-      console.error(JSON.stringify(data, null, 2));
+async function main() {
+  const client = createClient();
+
+  // Site/URL -> drive + path -> download file
+  const location = await client.resolve(siteRef, { library: values.library });
+
+  if (bulk) {
+    if (location.item?.file) {
+      console.error(`ERROR: Not a folder: ${location.path}`);
       process.exit(1);
     }
-  });
-}
+    return downloadMany(client, location, joinRemotePath(location.path, positionals[1]), positionals[2] || '.');
+  }
+
+  let filePath;
+  let outputArg;
 
-function getDriveId(siteId, token, callback) {
-  const apiPath = `/v1.0/sites/${siteId}/drive`;
-  
-  makeRequest(hostname, apiPath, token, (data) => {
-    if (data.id) {
-      callback(data.id);
-    } else {
-      console.error('ERROR: Drive not found');
-      console.error(JSON.stringify(data, null, 2));
+  if (location.item?.file) {
+    // The URL points at the file itself
+    filePath = location.path;
+    outputArg = positionals[1];
+  } else {
+    if (!positionals[1]) {
+      console.error('ERROR: The URL points to a folder; pass the file path within it');
       process.exit(1);
     }
+    filePath = joinRemotePath(location.path, positionals[1]);
+    outputArg = positionals[2];
+  }
+
+  const item = location.item?.file ? location.item : await client.getItem(location.driveId, filePath);
+  const outputPath = getOutputPath(outputArg, item.name, values.format);
+
+  const partPath = outputPath + PART_SUFFIX;
+  // Whatever has been written so far stays in the part file for resuming
+  const interrupt = () => reportInterrupt(partPath);
+
+  process.once('SIGINT', interrupt);
+
+  const verified = await downloadFile(client, location.driveId, item, outputPath, {
+    version: values.version,
+    format: values.format
   });
+
+  process.removeListener('SIGINT', interrupt);
+
+  console.log(`✓ Downloaded: ${outputPath}`);
+  console.log(`  Size: ${fs.statSync(outputPath).size} bytes`);
+
+  if (values.format) {
+    console.log(`  Format: ${values.format} (converted from ${item.name})`);
+  }
+
+  if (values.version) {
+    console.log(`  Version: ${values.version}`);
+  } else {
+    console.log(`  eTag: ${item.eTag}`);
+    console.log(`  cTag: ${item.cTag}`);
+  }
+
+  if (verified) {
+    console.log(`  ${verified.type}: ${verified.value} (verified)`);
+  } else if (!values.format && !values.version) {
+    console.error('  No content hash reported for this file: only the size was verified');
+  }
 }
 
-function downloadFile(driveId, filePath, token, outputPath) {
-  const encodedPath = encodeURIComponent(filePath);
-  const apiPath = `/v1.0/drives/${driveId}/root:/${encodedPath}:/content`;
-  
-  const options = {
-    hostname: 'graph.microsoft.com',
-    port: 443,
-    path: apiPath,
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${token}`
-    }
-  };
-
-  const file = fs.createWriteStream(outputPath);
-
-  const req = https.request(options, (res) => {
-    if (res.statusCode === 200) {
-      res.pipe(file);
-      
-      file.on('finish', () => {
-        file.close();
-        console.log(`✓ Downloaded: ${outputPath}`);
-        console.log(`  Size: ${fs.statSync(outputPath).size} bytes`);
+/**
+ * Download the selected files of a folder into a directory or archive,
+ * and print the manifest.
+ */
+async function downloadMany(client, location, folderPath, output) {
+  const format = archiveFormat(output);
+
+  const selected = values.from
+    ? readPathList(values.from)
+    : await findFiles(client, location.driveId, folderPath, createMatcher(values.include, values.exclude));
+
+  if (selected.length === 0) {
+    console.error(`ERROR: No files ${values.from ? `listed in ${values.from}` : 'match'} under ${folderPath || 'the library root'}`);
+    process.exit(1);
+  }
+
+  const drives = await resolveLibraries(client, location, folderPath, selected);
+
+  // Archives are assembled from a staging directory once all files are in
+  const targetDir = format ? fs.mkdtempSync(path.join(os.tmpdir(), 'sharepoint-download-')) : output;
+  const removeStaging = () => format && fs.rmSync(targetDir, { recursive: true, force: true });
+
+  process.once('SIGINT', () => {
+    removeStaging();
+    console.error('');
+    console.error(format
+      ? 'Interrupted: nothing was written'
+      : 'Interrupted: run the same command again to resume the partial downloads');
+    process.exit(EXIT_INTERRUPTED);
+  });
+
+  console.error(`Downloading ${selected.length} files to ${output} (${parallel} at a time)`);
+
+  const files = [];
+  const failed = [];
+
+  await forEachParallel(selected, parallel, async ({ relPath, library, item }) => {
+    // Files of another library are taken from its root and kept apart
+    const driveId = library ? drives.get(library) : location.driveId;
+    const sourcePath = library ? `${library}/${relPath}` : relPath;
+
+    try {
+      const remoteItem = item || await getFile(client, driveId, library ? relPath : joinRemotePath(folderPath, relPath));
+      const name = values.format ? convertedName(sourcePath, values.format) : sourcePath;
+      const outputPath = path.join(targetDir, ...name.split('/'));
+
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+      const verified = await downloadFile(client, driveId, remoteItem, outputPath, {
+        format: values.format,
+        // Progress of parallel downloads would be impossible to tell apart
+        log: message => console.error(`  ${relPath}: ${message.trim()}`)
       });
-    } else if (res.statusCode === 302 || res.statusCode === 301) {
-      // Follow redirect
-      const redirectUrl = new URL(res.headers.location);
-      downloadFromUrl(redirectUrl.href, outputPath);
-    } else {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        console.error('ERROR: Download failed');
-        console.error(`Status: ${res.statusCode}`);
-        console.error(data);
-        process.exit(1);
+
+      files.push({
+        path: name,
+        size: fs.statSync(outputPath).size,
+        lastModified: remoteItem.lastModifiedDateTime,
+        eTag: remoteItem.eTag,
+        cTag: remoteItem.cTag,
+        hash: verified,
+        output: format ? undefined : outputPath,
+        // Staged file, only used to build the archive
+        filePath: outputPath
       });
+      console.error(`↓ ${name}`);
+    } catch (err) {
+      failed.push({ path: sourcePath, error: err.message });
+      console.error(`✗ Failed: ${sourcePath}: ${err.message}`);
     }
   });
 
-  req.on('error', (e) => {
-    console.error(`ERROR: ${e.message}`);
+  files.sort((a, b) => a.path.localeCompare(b.path));
+
+  try {
+    if (format && files.length > 0) {
+      await writeArchive(output, files.map(file => ({
+        name: file.path,
+        filePath: file.filePath,
+        mtime: file.lastModified ? new Date(file.lastModified) : new Date()
+      })));
+    }
+  } finally {
+    removeStaging();
+  }
+
+  const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+
+  console.log(JSON.stringify({
+    source: folderPath,
+    output,
+    files: files.map(({ filePath, ...file }) => file),
+    failed
+  }, null, 2));
+
+  console.error(`✓ Downloaded ${files.length} files (${totalBytes} bytes) to ${output}`);
+
+  if (failed.length > 0) {
+    console.error(`  Failed: ${failed.length}${format && files.length > 0 ? ' (not in the archive)' : ''}`);
     process.exit(1);
-  });
+  }
+}
+
+/**
+ * Files under a folder (and its subfolders) accepted by the matcher.
+ *
+ * @returns {Promise<{relPath: string, item: Object}[]>}
+ */
+async function findFiles(client, driveId, folderPath, match) {
+  const exclude = createMatcher([], values.exclude);
+  const root = await client.getItem(driveId, folderPath);
+  const found = [];
 
-  req.end();
-}
-
-function downloadFromUrl(url, outputPath) {
-  const file = fs.createWriteStream(outputPath);
-  
-  https.get(url, (res) => {
-    res.pipe(file);
-    
-    file.on('finish', () => {
-      file.close();
-      console.log(`✓ Downloaded: ${outputPath}`);
-      console.log(`  Size: ${fs.statSync(outputPath).size} bytes`);
-    });
-  }).on('error', (e) => {
-    fs.unlink(outputPath, () => {});
-    console.error(`ERROR: ${e.message}`);
+  console.error(`Listing: ${folderPath || '(library root)'}`);
+
+  if (!root.folder) {
+    console.error(`ERROR: Not a folder: ${folderPath}`);
     process.exit(1);
-  });
+  }
+
+  async function walk(folderId, relDir) {
+    const { items } = await client.collect(`/drives/${driveId}/items/${folderId}/children`);
+
+    for (const item of items) {
+      const relPath = relDir ? `${relDir}/${item.name}` : item.name;
+
+      if (item.folder) {
+        if (exclude(item.name, relPath) && item.folder.childCount !== 0) {
+          await walk(item.id, relPath);
+        }
+      } else if (match(item.name, relPath)) {
+        found.push({ relPath, item });
+      }
+    }
+  }
+
+  await walk(root.id, '');
+  return found;
 }
 
-function makeRequest(hostname, path, token, callback) {
-  const options = {
-    hostname,
-    port: 443,
-    path,
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Accept': 'application/json'
+/**
+ * Paths from a --from list: either the JSON array printed by list-files or
+ * search (folders are left out; entries of search --all-libraries keep
+ * their library), or one path per line with blank lines and "#" comments
+ * ignored. Duplicates are dropped.
+ *
+ * @returns {{relPath: string, library?: string}[]}
+ */
+function readPathList(source) {
+  const text = fs.readFileSync(source === '-' ? 0 : source, 'utf8');
+  const label = source === '-' ? 'stdin' : source;
+  const listed = text.trimStart().startsWith('[')
+    ? parseEntries(text, label)
+    : text.split(/\r?\n/).map(line => ({ path: line }));
+  const paths = new Map();
+
+  for (const { path: listedPath, library } of listed) {
+    const trimmed = listedPath.trim();
+
+    if (!trimmed || trimmed.startsWith('#')) {
+      continue;
+    }
+
+    // The structure is recreated under the output, which must not be left
+    if (splitPath(trimmed).includes('..')) {
+      console.error(`ERROR: Paths in ${label} can't contain "..": ${trimmed}`);
+      process.exit(1);
     }
-  };
-
-  const req = https.request(options, (res) => {
-    let data = '';
-
-    res.on('data', (chunk) => {
-      data += chunk;
-    });
-
-    res.on('end', () => {
-      try {
-        const parsed = JSON.parse(data);
-        callback(parsed);
-      } catch (err) {
-        console.error('ERROR: Invalid JSON response');
-        console.error(data);
-        process.exit(1);
-      }
-    });
-  });
 
-  req.on('error', (e) => {
-    console.error(`ERROR: ${e.message}`);
+    const relPath = joinRemotePath(trimmed);
+    paths.set(JSON.stringify([library, relPath]), library ? { relPath, library } : { relPath });
+  }
+
+  return [...paths.values()];
+}
+
+/**
+ * Files of a JSON array of list-files/search entries: their path, and
+ * library if there is one.
+ */
+function parseEntries(text, label) {
+  let entries;
+
+  try {
+    entries = JSON.parse(text);
+  } catch (err) {
+    console.error(`ERROR: ${label} is not valid JSON: ${err.message}`);
     process.exit(1);
-  });
+  }
+
+  if (!entries.every(entry => typeof entry?.path === 'string')) {
+    console.error(`ERROR: Entries in ${label} need a "path", as printed by sharepoint-list-files.js`);
+    process.exit(1);
+  }
 
-  req.end();
+  // The library name becomes a folder under the output
+  const isLibraryName = name => typeof name === 'string' && !/[\\/]/.test(name) && !['', '.', '..'].includes(name);
+
+  if (!entries.every(entry => entry.library === undefined || isLibraryName(entry.library))) {
+    console.error(`ERROR: The "library" of entries in ${label} must be a library name`);
+    process.exit(1);
+  }
+
+  return entries.filter(entry => !entry.isFolder).map(entry => ({ path: entry.path, library: entry.library }));
 }
+
+/**
+ * Drive IDs of the libraries named by --from entries (search
+ * --all-libraries). Their paths are relative to the library root, so they
+ * can't be combined with a folder.
+ *
+ * @returns {Promise<Map<string, string>>} Library name => drive ID
+ */
+async function resolveLibraries(client, location, folderPath, selected) {
+  const libraries = [...new Set(selected.map(entry => entry.library).filter(Boolean))];
+  const drives = new Map();
+
+  if (libraries.length > 0 && folderPath) {
+    console.error(`ERROR: ${values.from} lists files by library (search --all-libraries): pass the site, not a folder`);
+    process.exit(1);
+  }
+
+  for (const library of libraries) {
+    drives.set(library, await client.resolveDrive(location.siteId, library));
+  }
+
+  return drives;
+}
+
+async function getFile(client, driveId, filePath) {
+  const item = await client.getItem(driveId, filePath);
+
+  if (!item.file) {
+    throw new GraphError(`Not a file: ${filePath}`);
+  }
+  return item;
+}
+
+function convertedName(relPath, format) {
+  const ext = path.posix.extname(relPath);
+  return `${ext ? relPath.slice(0, -ext.length) : relPath}.${format}`;
+}
+
+/**
+ * Output file: the given path, or the remote name in the current or given
+ * directory. A converted file always gets the extension of its format.
+ */
+function getOutputPath(outputArg, remoteName, format) {
+  const name = format ? convertedName(remoteName, format) : remoteName;
+
+  if (!outputArg) {
+    return `./${name}`;
+  }
+
+  if (outputArg.endsWith('/')) {
+    fs.mkdirSync(outputArg, { recursive: true });
+    return path.join(outputArg, name);
+  }
+
+  if (fs.existsSync(outputArg) && fs.statSync(outputArg).isDirectory()) {
+    return path.join(outputArg, name);
+  }
+
+  if (format && path.extname(outputArg).toLowerCase() !== `.${format}`) {
+    // Don't write PDF content to "report.docx"
+    const outputPath = convertedName(outputArg, format);
+    console.error(`Saving as ${outputPath}: --format ${format} output needs a .${format} name`);
+    return outputPath;
+  }
+
+  return outputArg;
+}
+
+function reportInterrupt(partPath) {
+  console.error('');
+  console.error(`Interrupted: ${partFileSize(partPath)} bytes kept in ${partPath}`);
+  console.error('Run the same command again to resume the download');
+  process.exit(EXIT_INTERRUPTED);
+}
+
+main().catch(err => fail(err, err instanceof IntegrityError ? EXIT_MISMATCH : 1));
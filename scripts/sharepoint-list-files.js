@@ -4,164 +4,290 @@
  * Lists files in a SharePoint folder via Microsoft Graph API
  * 
  * Usage:
- *   node sharepoint-list-files.js <site-name> <folder-path>
+ *   node sharepoint-list-files.js <site-name|url> <folder-path> [options]
  *   node sharepoint-list-files.js TeamSite "Shared Documents/General"
  *   node sharepoint-list-files.js TeamSite ""  # Root folder
+ *   node sharepoint-list-files.js TeamSite "Archive" --limit 500
+ *   node sharepoint-list-files.js TeamSite "Projects" --recursive --include "*.pdf" --files-only
+ *   node sharepoint-list-files.js "https://contoso.sharepoint.com/teams/Mk/Shared%20Documents/Plans"
+ *   node sharepoint-list-files.js TeamSite "Contracts" --fields ClientName,Status
  * 
- * Output: JSON array of files
+ * The site can be a name ("TeamSite"), a server-relative path
+ * ("teams/Marketing"), or a URL of a site, library or folder, including a
+ * sharing link; the folder path is then relative to it.
+ * 
+ * Options:
+ *   --library <name>     Document library name, URL segment or drive ID
+ *                        (default: the site's default library)
+ *   --top <n>            Items per page requested from Graph (default: Graph's, 200)
+ *   --limit <n>          Stop after n items (default: all pages)
+ *   --recursive, -r      Descend into subfolders
+ *   --depth <n>          Folder levels to list (1 = this folder only); implies --recursive
+ *   --include <glob>     Only output entries matching the pattern (repeatable)
+ *   --exclude <glob>     Skip entries matching the pattern (repeatable); excluded
+ *                        folders are not descended into
+ *   --files-only         Only output files
+ *   --folders-only       Only output folders
+ *   --tree               Print an indented tree instead of JSON
+ *   --fields <names>     Include library column values ("fields") for each
+ *                        entry: comma-separated column names, or "all"
+ *   --checkouts          Include who has each file checked out
+ *   --checked-out        Only output files that are checked out (implies
+ *                        --checkouts)
+ * 
+ * Patterns without a "/" match the name, patterns with a "/" match the
+ * path relative to the listed folder ("**" spans folders).
+ * 
+ * Output: JSON array of files (stdout), each with its path relative to the
+ * listed folder and, with --checkouts, who has it checked out. A summary
+ * line on stderr says how many items were listed and whether the listing
+ * is complete.
  */
 
-const https = require('https');
-const { execSync } = require('child_process');
-const path = require('path');
+const { createClient } = require('./lib/graph-client');
+const { createMatcher } = require('./lib/glob');
+const { joinRemotePath } = require('./lib/locations');
+const { getColumns, resolveColumn } = require('./lib/metadata');
+const { toEntry } = require('./lib/items');
+const { CHECKOUT_USER_FIELD, createUserResolver } = require('./lib/checkout');
+const { parseCommandLine, parsePositiveInt, fail } = require('./lib/cli');
 
-const args = process.argv.slice(2);
-
-if (args.length < 1) {
-  console.error('Usage: node sharepoint-list-files.js <site-name> [folder-path]');
+function usage() {
+  console.error('Usage: node sharepoint-list-files.js <site-name|url> [folder-path] [options]');
+  console.error('');
+  console.error('Options:');
+  console.error('  --library <name>   Document library (default: the site\'s default library)');
+  console.error('  --top <n>          Items per page requested from Graph');
+  console.error('  --limit <n>        Stop after n items');
+  console.error('  --recursive, -r    Descend into subfolders');
+  console.error('  --depth <n>        Folder levels to list (1 = this folder only)');
+  console.error('  --include <glob>   Only output matching entries (repeatable)');
+  console.error('  --exclude <glob>   Skip matching entries and folders (repeatable)');
+  console.error('  --files-only       Only output files');
+  console.error('  --folders-only     Only output folders');
+  console.error('  --tree             Print an indented tree instead of JSON');
+  console.error('  --fields <names>   Include column values: comma-separated names or "all"');
+  console.error('  --checkouts        Include who has each file checked out');
+  console.error('  --checked-out      Only output checked-out files');
   console.error('');
   console.error('Examples:');
   console.error('  node sharepoint-list-files.js TeamSite');
   console.error('  node sharepoint-list-files.js TeamSite "Shared Documents/General"');
-  process.exit(1);
+  console.error('  node sharepoint-list-files.js TeamSite "Archive" --limit 500');
+  console.error('  node sharepoint-list-files.js TeamSite "Projects" -r --include "*.pdf" --files-only');
+  console.error('  node sharepoint-list-files.js TeamSite "2026" --library Contracts');
+  console.error('  node sharepoint-list-files.js TeamSite "Contracts" --fields ClientName,Status');
+  console.error('  node sharepoint-list-files.js TeamSite "Policies" -r --checked-out');
+  console.error('  node sharepoint-list-files.js "https://contoso.sharepoint.com/teams/Mk/Shared%20Documents/Plans"');
 }
 
-const siteName = args[0];
-const folderPath = args[1] || '';
-
-// Get access token
-const authScript = path.join(__dirname, 'sharepoint-auth.js');
-let token;
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  top: { type: 'string' },
+  limit: { type: 'string' },
+  recursive: { type: 'boolean', short: 'r' },
+  depth: { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  'files-only': { type: 'boolean' },
+  'folders-only': { type: 'boolean' },
+  tree: { type: 'boolean' },
+  fields: { type: 'string' },
+  checkouts: { type: 'boolean' },
+  'checked-out': { type: 'boolean' }
+}, usage);
 
-try {
-  token = execSync(`node ${authScript}`, { encoding: 'utf8' }).trim();
-} catch (err) {
-  console.error('ERROR: Failed to get access token');
-  console.error(err.message);
+if (positionals.length < 1) {
+  usage();
   process.exit(1);
 }
 
-// Get tenant
-const getTenantScript = path.join(__dirname, 'get-tenant.js');
-let tenant;
+if (values['files-only'] && values['folders-only']) {
+  console.error('ERROR: --files-only and --folders-only are mutually exclusive');
+  process.exit(1);
+}
 
-try {
-  tenant = execSync(`node ${getTenantScript}`, { encoding: 'utf8' }).trim();
-} catch (err) {
-  console.error('ERROR: Failed to get tenant');
-  console.error(err.message);
+if (values['checked-out'] && values['folders-only']) {
+  console.error('ERROR: --checked-out only lists files; it can\'t be combined with --folders-only');
   process.exit(1);
 }
 
-// Graph API request
-const hostname = 'graph.microsoft.com';
-const siteId = `${tenant}.sharepoint.com:/sites/${siteName}`;
+const siteRef = positionals[0];
+const top = parsePositiveInt(values.top, '--top');
+const limit = parsePositiveInt(values.limit, '--limit');
+const depth = parsePositiveInt(values.depth, '--depth') || (values.recursive ? Infinity : 1);
+const checkouts = !!(values.checkouts || values['checked-out']);
 
-// First, get the site ID
-getSiteId(siteId, token, (actualSiteId) => {
-  // Then get drive ID
-  getDriveId(actualSiteId, token, (driveId) => {
-    // Finally, list files
-    listFiles(driveId, folderPath, token);
-  });
-});
-
-function getSiteId(site, token, callback) {
-  const apiPath = `/v1.0/sites/${site}`;
-  
-  makeRequest(hostname, apiPath, token, (data) => {
-    if (data.id) {
-      callback(data.id);
-    } else {
-      console.error('ERROR: Site not found');
-      console.error(JSON.stringify(data, null, 2));
-      process.exit(1);
-    }
-  });
-}
+async function main() {
+  const client = createClient();
 
-function getDriveId(siteId, token, callback) {
-  const apiPath = `/v1.0/sites/${siteId}/drive`;
-  
-  makeRequest(hostname, apiPath, token, (data) => {
-    if (data.id) {
-      callback(data.id);
-    } else {
-      console.error('ERROR: Drive not found');
-      console.error(JSON.stringify(data, null, 2));
-      process.exit(1);
-    }
+  // Site/URL -> drive + folder -> list files
+  const location = await client.resolve(siteRef, { library: values.library });
+
+  if (location.item?.file) {
+    console.error(`ERROR: Not a folder: ${location.path}`);
+    process.exit(1);
+  }
+
+  const folderPath = joinRemotePath(location.path, positionals[1]);
+  const expand = await fieldsExpansion(client, location.driveId, values.fields, checkouts);
+  const { files, complete } = await listFiles(client, location.driveId, folderPath, {
+    top,
+    expand,
+    withFields: !!values.fields,
+    checkouts,
+    checkedOutOnly: values['checked-out'],
+    resolveUser: createUserResolver(client, location.siteId),
+    limit,
+    depth,
+    match: createMatcher(values.include, values.exclude),
+    exclude: createMatcher([], values.exclude),
+    filtered: !!(values.include || values.exclude || values['checked-out']),
+    filesOnly: values['files-only'],
+    foldersOnly: values['folders-only']
   });
+
+  if (values.tree) {
+    printTree(files);
+  } else {
+    console.log(JSON.stringify(files, null, 2));
+  }
+
+  if (complete) {
+    console.error(`Listed ${files.length} items (complete)`);
+  } else {
+    console.error(`Listed ${files.length} items (incomplete: --limit reached, more items exist)`);
+  }
 }
 
-function listFiles(driveId, folderPath, token) {
-  let apiPath;
-  
+function childrenPath(driveId, folderPath) {
   if (folderPath) {
     // List specific folder
     const encodedPath = encodeURIComponent(folderPath);
-    apiPath = `/v1.0/drives/${driveId}/root:/${encodedPath}:/children`;
-  } else {
-    // List root
-    apiPath = `/v1.0/drives/${driveId}/root/children`;
+    return `/drives/${driveId}/root:/${encodedPath}:/children`;
   }
-  
-  makeRequest(hostname, apiPath, token, (data) => {
-    if (data.value) {
-      const files = data.value.map(item => ({
-        name: item.name,
-        size: item.size,
-        webUrl: item.webUrl,
-        downloadUrl: item['@microsoft.graph.downloadUrl'],
-        lastModified: item.lastModifiedDateTime,
-        isFolder: !!item.folder,
-        type: item.folder ? 'folder' : (item.file?.mimeType || 'file')
-      }));
-      
-      console.log(JSON.stringify(files, null, 2));
-    } else {
-      console.error('ERROR: Unexpected response');
-      console.error(JSON.stringify(data, null, 2));
-      process.exit(1);
+
+  // List root
+  return `/drives/${driveId}/root/children`;
+}
+
+/**
+ * $expand value that returns the listItem fields of each child: the
+ * --fields columns, checked against the library (display names are
+ * accepted), and the check-out user if asked for. Null if none are
+ * needed, which keeps the listing cheaper.
+ */
+async function fieldsExpansion(client, driveId, fields, withCheckouts) {
+  if (fields === 'all') {
+    return 'listItem($expand=fields)';
+  }
+
+  const names = withCheckouts ? [CHECKOUT_USER_FIELD] : [];
+
+  if (fields) {
+    const columns = await getColumns(client, driveId);
+
+    for (const name of fields.split(',').map(value => value.trim()).filter(Boolean)) {
+      names.push(resolveColumn(columns, name).name);
     }
-  });
+  }
+
+  return names.length > 0 ? `listItem($expand=fields($select=${[...new Set(names)].join(',')}))` : null;
 }
 
-function makeRequest(hostname, path, token, callback) {
-  const options = {
-    hostname,
-    port: 443,
-    path,
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Accept': 'application/json'
+/**
+ * List a folder, depth-first so that each folder's contents directly
+ * follow it (the order --tree needs).
+ *
+ * @returns {Promise<{files: Object[], complete: boolean}>}
+ */
+async function listFiles(client, driveId, folderPath, options) {
+  const {
+    top, expand, withFields, checkouts, checkedOutOnly, resolveUser, limit = Infinity, depth,
+    match, exclude, filtered, filesOnly, foldersOnly
+  } = options;
+  const files = [];
+  const checkedOut = [];
+  let complete = true;
+
+  async function walk(apiPath, parentPath, level) {
+    const query = [];
+
+    if (top) {
+      query.push(`$top=${top}`);
+    }
+
+    if (expand) {
+      query.push(`$expand=${encodeURIComponent(expand)}`);
     }
-  };
-
-  const req = https.request(options, (res) => {
-    let data = '';
-
-    res.on('data', (chunk) => {
-      data += chunk;
-    });
-
-    res.on('end', () => {
-      try {
-        const parsed = JSON.parse(data);
-        callback(parsed);
-      } catch (err) {
-        console.error('ERROR: Invalid JSON response');
-        console.error(data);
-        process.exit(1);
+
+    const url = query.length > 0 ? `${apiPath}?${query.join('&')}` : apiPath;
+
+    // When every child is output, stop paging as soon as --limit is
+    // reached; with filters we can't know how many pages that takes
+    const pageLimit = filtered || filesOnly || foldersOnly ? Infinity : limit - files.length;
+
+    // Follows @odata.nextLink so folders larger than one page aren't truncated
+    const { items, complete: pageComplete } = await client.collect(url, { limit: pageLimit });
+
+    if (!pageComplete) {
+      complete = false;
+    }
+
+    for (const item of items) {
+      if (files.length >= limit) {
+        complete = false;
+        return;
       }
-    });
-  });
 
-  req.on('error', (e) => {
-    console.error(`ERROR: ${e.message}`);
-    process.exit(1);
-  });
+      const relativePath = parentPath ? `${parentPath}/${item.name}` : item.name;
+      const isFolder = !!item.folder;
+
+      if (!exclude(item.name, relativePath)) {
+        continue;
+      }
 
-  req.end();
+      const checkoutUserId = checkouts ? item.listItem?.fields?.[`${CHECKOUT_USER_FIELD}LookupId`] : undefined;
+      const wanted = (isFolder ? !filesOnly && !checkedOutOnly : !foldersOnly) &&
+        (!checkedOutOnly || checkoutUserId) && match(item.name, relativePath);
+
+      if (wanted) {
+        const entry = toEntry(item, relativePath, withFields);
+
+        if (checkoutUserId) {
+          checkedOut.push({ entry, checkoutUserId });
+        }
+
+        files.push(entry);
+      }
+
+      if (isFolder && level < depth && item.folder.childCount !== 0) {
+        await walk(`/drives/${driveId}/items/${item.id}/children`, relativePath, level + 1);
+      }
+    }
+  }
+
+  await walk(childrenPath(driveId, folderPath), '', 1);
+
+  for (const { entry, checkoutUserId } of checkedOut) {
+    entry.checkedOutBy = await resolveUser(checkoutUserId);
+  }
+
+  return { files, complete };
 }
+
+function printTree(files) {
+  files.forEach(file => {
+    const level = file.path.split('/').length - 1;
+    const indent = '  '.repeat(level);
+
+    if (file.isFolder) {
+      console.log(`${indent}${file.name}/`);
+    } else {
+      const checkout = file.checkedOutBy ? ` [checked out by ${file.checkedOutBy}]` : '';
+      console.log(`${indent}${file.name} (${file.size} bytes)${checkout}`);
+    }
+  });
+}
+
+main().catch(fail);
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * SharePoint List Libraries
+ * Lists the document libraries (drives) of a SharePoint site
+ * 
+ * Usage:
+ *   node sharepoint-list-libraries.js <site-name|url>
+ *   node sharepoint-list-libraries.js TeamSite
+ *   node sharepoint-list-libraries.js https://contoso.sharepoint.com/teams/Marketing
+ * 
+ * Output: JSON array of libraries with their storage quota (bytes used,
+ * total and remaining, and the percentage used). Pass "name", "urlName" or
+ * "id" to the --library option of the other scripts.
+ */
+
+const { createClient } = require('./lib/graph-client');
+const { listLibraries } = require('./lib/sites');
+const { fail } = require('./lib/cli');
+
+const args = process.argv.slice(2);
+
+if (args.length < 1) {
+  console.error('Usage: node sharepoint-list-libraries.js <site-name|url>');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-list-libraries.js TeamSite');
+  process.exit(1);
+}
+
+const siteRef = args[0];
+
+async function main() {
+  const client = createClient();
+
+  const siteId = await client.getSiteId(siteRef);
+  const libraries = await listLibraries(client, siteId);
+
+  console.log(JSON.stringify(libraries, null, 2));
+}
+
+main().catch(fail);
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * SharePoint File Metadata
+ * Reads and sets library column values (listItem fields) of a file or
+ * folder via Microsoft Graph API
+ * 
+ * Usage:
+ *   node sharepoint-metadata.js <site-name|url> <path> [options]
+ *   node sharepoint-metadata.js <item-url> [options]
+ *   node sharepoint-metadata.js <site-name|url> --columns [--library <name>]
+ *   node sharepoint-metadata.js TeamSite "Contracts/nda.pdf"
+ *   node sharepoint-metadata.js TeamSite "Contracts/nda.pdf" --field ClientName=Contoso --field Status=Signed
+ *   node sharepoint-metadata.js TeamSite --columns --library Contracts
+ * 
+ * Values are validated against the library's column definitions before
+ * anything is written (see lib/metadata.js for the accepted formats).
+ * 
+ * Options:
+ *   --library <name>      Document library name, URL segment or drive ID
+ *                         (default: the site's default library)
+ *   --field <name=value>  Set a column value (repeatable). Columns can be
+ *                         named by internal or display name.
+ *   --columns             List the library's columns instead
+ * 
+ * Output: JSON object of the item's fields, JSON array of columns, or a
+ * confirmation
+ */
+
+const { createClient } = require('./lib/graph-client');
+const {
+  getColumns,
+  parseAssignments,
+  buildFieldValues,
+  cleanFields,
+  describeColumn
+} = require('./lib/metadata');
+const { isUrl } = require('./lib/locations');
+const { parseCommandLine, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-metadata.js <site-name|url> <path> [--field <name=value> ...] [--library <name>]');
+  console.error('       node sharepoint-metadata.js <item-url> [--field <name=value> ...]');
+  console.error('       node sharepoint-metadata.js <site-name|url> --columns [--library <name>]');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-metadata.js TeamSite "Contracts/nda.pdf"');
+  console.error('  node sharepoint-metadata.js TeamSite "Contracts/nda.pdf" --field ClientName=Contoso --field Status=Signed');
+  console.error('  node sharepoint-metadata.js TeamSite --columns --library Contracts');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  field: { type: 'string', multiple: true },
+  columns: { type: 'boolean' }
+}, usage);
+
+// The column list and item URLs need no separate path
+if (positionals.length < (values.columns || isUrl(positionals[0] || '') ? 1 : 2)) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+
+async function main() {
+  const client = createClient();
+
+  if (values.columns) {
+    const location = await client.resolve(siteRef, { library: values.library });
+    const columns = await getColumns(client, location.driveId);
+
+    console.log(JSON.stringify(columns.filter(c => !c.hidden).map(describeColumn), null, 2));
+    return;
+  }
+
+  const target = await client.resolveItem(siteRef, positionals[1], { library: values.library });
+  const fieldsUrl = `/drives/${target.driveId}/items/${target.item.id}/listItem/fields`;
+
+  if (!values.field) {
+    const fields = await client.request('GET', fieldsUrl);
+    console.log(JSON.stringify(cleanFields(fields), null, 2));
+    return;
+  }
+
+  const columns = await getColumns(client, target.driveId);
+  const fieldValues = buildFieldValues(columns, parseAssignments(values.field));
+  const updated = await client.request('PATCH', fieldsUrl, { body: fieldValues });
+
+  console.log(`✓ Updated fields: ${target.path || target.item.name}`);
+
+  for (const name of Object.keys(fieldValues).filter(key => !key.includes('@'))) {
+    console.log(`  ${name}: ${JSON.stringify(updated?.[name] ?? fieldValues[name])}`);
+  }
+}
+
+main().catch(fail);
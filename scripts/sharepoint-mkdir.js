@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Create Folder
+ * Creates a folder in a SharePoint document library via Microsoft Graph API
+ * 
+ * Usage:
+ *   node sharepoint-mkdir.js <site-name|url> <folder-path> [options]
+ *   node sharepoint-mkdir.js TeamSite "Reports/2026"
+ *   node sharepoint-mkdir.js TeamSite "Archive/2026/Q1" --parents
+ *   node sharepoint-mkdir.js "https://contoso.sharepoint.com/teams/Mk/Shared%20Documents/Plans" "Drafts"
+ * 
+ * With a library or folder URL, the folder path is relative to it.
+ * 
+ * Options:
+ *   --library <name>  Document library name, URL segment or drive ID
+ *                     (default: the site's default library)
+ *   -p, --parents     Create missing parent folders; an existing folder
+ *                     is not an error
+ * 
+ * Exit codes:
+ *   0  Created (or already exists with --parents)
+ *   1  Error
+ *   3  Something with that name already exists
+ * 
+ * Output: Confirmation with the folder URL
+ */
+
+const { createClient } = require('./lib/graph-client');
+const { GraphError } = require('./lib/errors');
+const { splitPath, joinRemotePath } = require('./lib/locations');
+const { EXIT_CONFLICT, parseCommandLine, isConflictError, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-mkdir.js <site-name|url> <folder-path> [--parents] [--library <name>]');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-mkdir.js TeamSite "Reports/2026"');
+  console.error('  node sharepoint-mkdir.js TeamSite "Archive/2026/Q1" --parents');
+  console.error('  node sharepoint-mkdir.js TeamSite "2026" --library Contracts');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  parents: { type: 'boolean', short: 'p' }
+}, usage);
+
+if (positionals.length < 2) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+const folderArg = positionals[1];
+
+async function main() {
+  const client = createClient();
+
+  // Site/URL -> drive + parent folder -> create folder(s)
+  const location = await client.resolve(siteRef, { library: values.library });
+  const driveId = location.driveId;
+  const segments = splitPath(joinRemotePath(location.path, folderArg));
+
+  if (segments.length === 0) {
+    console.error('ERROR: Folder path is empty');
+    process.exit(1);
+  }
+
+  // Without --parents only the last segment is created
+  const first = values.parents ? 0 : segments.length - 1;
+  let folder;
+
+  try {
+    folder = await client.getItem(driveId, segments.slice(0, first).join('/'));
+  } catch (err) {
+    if (err.status === 404) {
+      err.hint = 'Use --parents to create missing parent folders';
+    }
+    throw err;
+  }
+
+  let created = false;
+
+  for (let i = first; i < segments.length; i++) {
+    const folderPath = segments.slice(0, i + 1).join('/');
+
+    try {
+      folder = await createFolder(client, driveId, folder.id, segments[i]);
+      created = true;
+    } catch (err) {
+      if (!values.parents || err.status !== 409) {
+        throw err.status === 409 ? new GraphError(`Already exists: ${folderPath}`, err) : err;
+      }
+
+      folder = await client.getItem(driveId, folderPath);
+
+      if (!folder.folder) {
+        throw new GraphError(`Not a folder: ${folderPath}`, { status: 409 });
+      }
+    }
+  }
+
+  const folderPath = segments.join('/');
+  console.log(created ? `✓ Created folder: ${folderPath}` : `✓ Folder exists: ${folderPath}`);
+  console.log(`  URL: ${folder.webUrl}`);
+}
+
+async function createFolder(client, driveId, parentId, name) {
+  return client.request('POST', `/drives/${driveId}/items/${parentId}/children`, {
+    body: {
+      name,
+      folder: {},
+      '@microsoft.graph.conflictBehavior': 'fail'
+    }
+  });
+}
+
+main().catch(err => fail(err, isConflictError(err) ? EXIT_CONFLICT : 1));
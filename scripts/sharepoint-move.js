@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Move Item
+ * Moves a file or folder to another folder of the same document library
+ * via Microsoft Graph API
+ * 
+ * Usage:
+ *   node sharepoint-move.js <site-name|url> <source-path> <destination-folder> [options]
+ *   node sharepoint-move.js <item-url> <destination-folder> [options]
+ *   node sharepoint-move.js TeamSite "Reports/q1.docx" "Archive/2026"
+ *   node sharepoint-move.js TeamSite "Drafts/plan.docx" "Final" --name "plan-v2.docx"
+ * 
+ * The destination folder is relative to the library root ("/" for the
+ * root), or to the folder URL the source path is given in, and must exist
+ * (see sharepoint-mkdir.js). To move between libraries or sites, copy and
+ * then delete.
+ * 
+ * Options:
+ *   --library <name>   Document library name, URL segment or drive ID
+ *                      (default: the site's default library)
+ *   --name <name>      New name for the moved item
+ *   --conflict <mode>  If the destination has an item with that name:
+ *                      fail (default), replace or rename
+ * 
+ * Exit codes:
+ *   0  Moved
+ *   1  Error
+ *   3  An item with that name already exists at the destination
+ * 
+ * Output: Confirmation with the new path and URL
+ */
+
+const { createClient } = require('./lib/graph-client');
+const { isUrl, splitPath, joinRemotePath } = require('./lib/locations');
+const { EXIT_CONFLICT, parseCommandLine, isConflictError, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-move.js <site-name|url> <source-path> <destination-folder> [options]');
+  console.error('       node sharepoint-move.js <item-url> <destination-folder> [options]');
+  console.error('Options: --name <new-name>  --conflict fail|replace|rename  --library <name>');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-move.js TeamSite "Reports/q1.docx" "Archive/2026"');
+  console.error('  node sharepoint-move.js TeamSite "Drafts/plan.docx" "/" --name "plan.docx"');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  name: { type: 'string' },
+  conflict: { type: 'string', default: 'fail' }
+}, usage);
+
+const CONFLICT_BEHAVIORS = ['fail', 'replace', 'rename'];
+
+if (!CONFLICT_BEHAVIORS.includes(values.conflict)) {
+  console.error(`ERROR: --conflict must be one of: ${CONFLICT_BEHAVIORS.join(', ')}`);
+  process.exit(1);
+}
+
+// An item URL needs no separate source path
+const urlIsItem = isUrl(positionals[0] || '') && positionals.length === 2;
+
+if (positionals.length < (urlIsItem ? 2 : 3)) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+const sourceArg = urlIsItem ? undefined : positionals[1];
+const destinationArg = positionals[positionals.length - 1];
+
+async function main() {
+  const client = createClient();
+
+  const source = await client.resolveItem(siteRef, sourceArg, { library: values.library });
+
+  if (source.item.root) {
+    console.error('ERROR: The library root cannot be moved');
+    process.exit(1);
+  }
+
+  // With a folder URL the source path, and so the destination, is relative
+  // to that folder: the part of the resolved path before the source path
+  const basePath = sourceArg
+    ? splitPath(source.path).slice(0, -splitPath(sourceArg).length).join('/')
+    : '';
+  const destinationPath = joinRemotePath(basePath, destinationArg);
+  const destination = await client.getItem(source.driveId, destinationPath);
+
+  if (!destination.folder) {
+    console.error(`ERROR: Destination is not a folder: ${destinationPath}`);
+    process.exit(1);
+  }
+
+  const body = { parentReference: { id: destination.id } };
+
+  if (values.name) {
+    body.name = values.name;
+  }
+
+  const moved = await client.request(
+    'PATCH',
+    `/drives/${source.driveId}/items/${source.item.id}?@microsoft.graph.conflictBehavior=${values.conflict}`,
+    { body }
+  );
+
+  console.log(`✓ Moved: ${source.path} → ${joinRemotePath(destinationPath, moved.name)}`);
+  console.log(`  URL: ${moved.webUrl}`);
+}
+
+main().catch(err => fail(err, isConflictError(err) ? EXIT_CONFLICT : 1));
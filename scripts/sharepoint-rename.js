@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Rename Item
+ * Renames a file or folder in place via Microsoft Graph API
+ * 
+ * Usage:
+ *   node sharepoint-rename.js <site-name|url> <path> <new-name> [options]
+ *   node sharepoint-rename.js <item-url> <new-name> [options]
+ *   node sharepoint-rename.js TeamSite "Drafts/plan-draft.docx" "plan.docx"
+ * 
+ * Options:
+ *   --library <name>   Document library name, URL segment or drive ID
+ *                      (default: the site's default library)
+ *   --conflict <mode>  If the folder has an item with the new name:
+ *                      fail (default), replace or rename
+ * 
+ * Exit codes:
+ *   0  Renamed
+ *   1  Error
+ *   3  An item with the new name already exists
+ * 
+ * Output: Confirmation with the new path and URL
+ */
+
+const { createClient } = require('./lib/graph-client');
+const { isUrl, splitPath, joinRemotePath } = require('./lib/locations');
+const { EXIT_CONFLICT, parseCommandLine, isConflictError, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-rename.js <site-name|url> <path> <new-name> [--conflict fail|replace|rename] [--library <name>]');
+  console.error('       node sharepoint-rename.js <item-url> <new-name>');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-rename.js TeamSite "Drafts/plan-draft.docx" "plan.docx"');
+  console.error('  node sharepoint-rename.js TeamSite "Old Folder" "New Folder"');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  conflict: { type: 'string', default: 'fail' }
+}, usage);
+
+const CONFLICT_BEHAVIORS = ['fail', 'replace', 'rename'];
+
+if (!CONFLICT_BEHAVIORS.includes(values.conflict)) {
+  console.error(`ERROR: --conflict must be one of: ${CONFLICT_BEHAVIORS.join(', ')}`);
+  process.exit(1);
+}
+
+// An item URL needs no separate path
+const urlIsItem = isUrl(positionals[0] || '') && positionals.length === 2;
+
+if (positionals.length < (urlIsItem ? 2 : 3)) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+const itemArg = urlIsItem ? undefined : positionals[1];
+const newName = positionals[positionals.length - 1];
+
+if (newName.includes('/')) {
+  console.error('ERROR: The new name cannot contain "/"; use sharepoint-move.js to move items');
+  process.exit(1);
+}
+
+async function main() {
+  const client = createClient();
+
+  const target = await client.resolveItem(siteRef, itemArg, { library: values.library });
+
+  if (target.item.root) {
+    console.error('ERROR: The library root cannot be renamed');
+    process.exit(1);
+  }
+
+  const renamed = await client.request(
+    'PATCH',
+    `/drives/${target.driveId}/items/${target.item.id}?@microsoft.graph.conflictBehavior=${values.conflict}`,
+    { body: { name: newName } }
+  );
+
+  const parentPath = splitPath(target.path).slice(0, -1).join('/');
+
+  console.log(`✓ Renamed: ${target.path} → ${joinRemotePath(parentPath, renamed.name)}`);
+  console.log(`  URL: ${renamed.webUrl}`);
+}
+
+main().catch(err => fail(err, isConflictError(err) ? EXIT_CONFLICT : 1));
@@ -0,0 +1,272 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Search
+ * Searches a document library (or every library of a site) by file name
+ * and content via Microsoft Graph API
+ * 
+ * Usage:
+ *   node sharepoint-search.js <site-name|url> <query> [options]
+ *   node sharepoint-search.js TeamSite "quarterly report"
+ *   node sharepoint-search.js TeamSite "invoice" --type pdf,docx --modified-after 30d
+ *   node sharepoint-search.js TeamSite "Contoso" --folder "Contracts/2026" --name-only
+ *   node sharepoint-search.js TeamSite "budget" --all-libraries
+ *   node sharepoint-search.js "https://contoso.sharepoint.com/teams/Mk/Shared%20Documents/Plans" "launch"
+ * 
+ * SharePoint's search matches the query against file names, content and
+ * metadata. With a library or folder URL (or --folder), only results below
+ * that folder are returned.
+ * 
+ * Options:
+ *   --library <name>          Document library name, URL segment or drive ID
+ *                             (default: the site's default library)
+ *   --all-libraries           Search every document library of the site
+ *   --folder <path>           Only return results below this folder
+ *   --name-only               Only return items whose name contains every
+ *                             word of the query
+ *   --type <ext,...>          Only files with these extensions (pdf,docx)
+ *   --modified-after <when>   Modified on or after a date (2026-01-31) or
+ *                             within the last N days (30d)
+ *   --modified-before <when>  Modified before a date, or more than N days ago
+ *   --files-only              Leave folders out
+ *   --limit <n>               Stop after n results
+ * 
+ * Output: JSON array of matches (stdout) in the same shape as
+ * sharepoint-list-files.js, with paths relative to the searched folder
+ * (the library root by default), so they can be passed to
+ * sharepoint-download.js --from. With --all-libraries, each entry also
+ * names its "library". A summary line on stderr says how many matched.
+ * 
+ * Search results come from SharePoint's search index, so files added or
+ * changed in the last few minutes may be missing.
+ */
+
+const path = require('path');
+const { createClient } = require('./lib/graph-client');
+const { toEntry, drivePathOf } = require('./lib/items');
+const { joinRemotePath } = require('./lib/locations');
+const { parseCommandLine, parsePositiveInt, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-search.js <site-name|url> <query> [options]');
+  console.error('');
+  console.error('Options:');
+  console.error('  --library <name>          Document library (default: the site\'s default library)');
+  console.error('  --all-libraries           Search every library of the site');
+  console.error('  --folder <path>           Only return results below this folder');
+  console.error('  --name-only               Only match the query against names');
+  console.error('  --type <ext,...>          Only files with these extensions');
+  console.error('  --modified-after <when>   Date (2026-01-31) or number of days (30d)');
+  console.error('  --modified-before <when>  Date (2026-01-31) or number of days (30d)');
+  console.error('  --files-only              Leave folders out');
+  console.error('  --limit <n>               Stop after n results');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-search.js TeamSite "quarterly report"');
+  console.error('  node sharepoint-search.js TeamSite "invoice" --type pdf,docx --modified-after 30d');
+  console.error('  node sharepoint-search.js TeamSite "Contoso" --folder "Contracts/2026" --name-only');
+  console.error('  node sharepoint-search.js TeamSite "budget" --all-libraries');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  'all-libraries': { type: 'boolean' },
+  folder: { type: 'string' },
+  'name-only': { type: 'boolean' },
+  type: { type: 'string' },
+  'modified-after': { type: 'string' },
+  'modified-before': { type: 'string' },
+  'files-only': { type: 'boolean' },
+  limit: { type: 'string' }
+}, usage);
+
+if (positionals.length < 2 || !positionals[1].trim()) {
+  usage();
+  process.exit(1);
+}
+
+if (values['all-libraries'] && (values.library || values.folder)) {
+  console.error('ERROR: --all-libraries can\'t be combined with --library or --folder');
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+const query = positionals[1].trim();
+const limit = parsePositiveInt(values.limit, '--limit') || Infinity;
+const modifiedAfter = values['modified-after'] ? parseWhen(values['modified-after'], '--modified-after') : null;
+const modifiedBefore = values['modified-before'] ? parseWhen(values['modified-before'], '--modified-before') : null;
+
+const types = values.type
+  ? values.type.split(',').map(ext => ext.trim().replace(/^\./, '').toLowerCase()).filter(Boolean)
+  : null;
+
+async function main() {
+  const client = createClient();
+
+  // Site/URL -> drive(s) + folder -> search
+  const location = await client.resolve(siteRef, { library: values.library });
+
+  if (location.item?.file) {
+    console.error(`ERROR: Not a folder: ${location.path}`);
+    process.exit(1);
+  }
+
+  const folderPath = joinRemotePath(location.path, values.folder || '');
+
+  if (values['all-libraries'] && folderPath) {
+    console.error('ERROR: --all-libraries searches whole libraries; pass a site, not a folder URL');
+    process.exit(1);
+  }
+
+  const drives = values['all-libraries']
+    ? await client.listDrives(location.siteId)
+    : [{ id: location.driveId }];
+
+  const results = [];
+
+  for (const drive of drives) {
+    const matches = await searchDrive(client, drive.id, folderPath, limit - results.length);
+
+    for (const entry of matches) {
+      results.push(values['all-libraries'] ? { library: drive.name, ...entry } : entry);
+    }
+
+    if (results.length >= limit) {
+      break;
+    }
+  }
+
+  console.log(JSON.stringify(results, null, 2));
+
+  const scope = values['all-libraries'] ? `${drives.length} libraries` : (folderPath || 'library root');
+  console.error(`Found ${results.length} items for "${query}" (${scope})`);
+}
+
+/**
+ * Search one drive and keep the results that pass the filters. Pages are
+ * requested one at a time, so a broad query stops once `max` results are
+ * found.
+ *
+ * @returns {Promise<Object[]>} Entries with paths relative to folderPath
+ */
+async function searchDrive(client, driveId, folderPath, max) {
+  // Single quotes are doubled inside the OData string literal
+  const q = encodeURIComponent(query.replace(/'/g, '\'\''));
+  const pathOf = createPathResolver(client, driveId);
+  const prefix = folderPath ? `${folderPath.toLowerCase()}/` : '';
+  const entries = [];
+  let nextLink = `/drives/${driveId}/root/search(q='${q}')`;
+
+  while (nextLink && entries.length < max) {
+    const page = await client.request('GET', nextLink);
+    nextLink = page['@odata.nextLink'];
+
+    for (const item of page.value) {
+      if (entries.length >= max) {
+        break;
+      }
+
+      if (!matchesFilters(item)) {
+        continue;
+      }
+
+      // Search covers the whole drive; the folder scope is applied by path
+      const itemPath = await pathOf(item);
+
+      if (itemPath === null || !itemPath.toLowerCase().startsWith(prefix)) {
+        continue;
+      }
+
+      entries.push(toEntry(item, itemPath.slice(prefix.length)));
+    }
+  }
+
+  return entries;
+}
+
+function matchesFilters(item) {
+  if (item.folder && (values['files-only'] || types)) {
+    return false;
+  }
+
+  if (values['name-only']) {
+    const name = item.name.toLowerCase();
+
+    if (!query.toLowerCase().split(/\s+/).every(word => name.includes(word))) {
+      return false;
+    }
+  }
+
+  if (types && !types.includes(path.extname(item.name).slice(1).toLowerCase())) {
+    return false;
+  }
+
+  const modified = Date.parse(item.lastModifiedDateTime);
+
+  if (modifiedAfter && !(modified >= modifiedAfter)) {
+    return false;
+  }
+
+  if (modifiedBefore && !(modified < modifiedBefore)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Path lookup for search results. Results don't always carry their
+ * parent's path, so missing ones are read from the parent folder, once
+ * per folder.
+ *
+ * @returns {Function} async (item) => path relative to the drive root, or
+ *   null if the item is no longer there
+ */
+function createPathResolver(client, driveId) {
+  const folders = new Map();
+
+  const folderPathOf = (folderId) => {
+    if (!folders.has(folderId)) {
+      folders.set(folderId, client.request('GET',
+        `/drives/${driveId}/items/${folderId}?$select=id,name,root,parentReference`)
+        .then(folder => drivePathOf(folder))
+        .catch(err => {
+          if (err.status === 404) {
+            return null;
+          }
+          throw err;
+        }));
+    }
+    return folders.get(folderId);
+  };
+
+  return async (item) => {
+    const itemPath = drivePathOf(item);
+
+    if (itemPath !== null) {
+      return itemPath;
+    }
+
+    const parentId = item.parentReference?.id;
+    const parentPath = parentId ? await folderPathOf(parentId) : null;
+
+    return parentPath === null ? null : joinRemotePath(parentPath, item.name);
+  };
+}
+
+/**
+ * Timestamp (ms) for a --modified-* value: "30d" is 30 days ago, anything
+ * else must parse as a date.
+ */
+function parseWhen(value, name) {
+  const days = value.match(/^(\d+)d$/);
+  const time = days ? Date.now() - Number(days[1]) * 24 * 60 * 60 * 1000 : Date.parse(value);
+
+  if (isNaN(time)) {
+    console.error(`ERROR: ${name} must be a date (2026-01-31) or a number of days (30d), got: ${value}`);
+    process.exit(1);
+  }
+
+  return time;
+}
+
+main().catch(fail);
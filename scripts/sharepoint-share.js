@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Sharing and Permissions
+ * Creates sharing links, lists permissions, grants and revokes access on
+ * a file or folder via Microsoft Graph API
+ * 
+ * Usage:
+ *   node sharepoint-share.js <site-name|url> <path> [options]
+ *   node sharepoint-share.js <item-url> [options]
+ *   node sharepoint-share.js TeamSite "Reports/q1.pdf"
+ *   node sharepoint-share.js TeamSite "Reports/q1.pdf" --link view --scope anonymous --expires 7d
+ *   node sharepoint-share.js TeamSite "Reports/q1.pdf" --link edit --scope users --grant reviewer@partner.com
+ *   node sharepoint-share.js TeamSite "Reports" --grant reviewer@partner.com --role write
+ *   node sharepoint-share.js TeamSite "Reports/q1.pdf" --revoke <permission-id>
+ * 
+ * Without --link, --grant or --revoke, lists the item's permissions.
+ * 
+ * A link password is never passed as an argument (it would show in the
+ * process list and shell history): --password reads it from
+ * $SHAREPOINT_LINK_PASSWORD, from stdin, or asks for it on a terminal.
+ * 
+ * Options:
+ *   --library <name>     Document library name, URL segment or drive ID
+ *                        (default: the site's default library)
+ *   --link <type>        Create a sharing link: view, edit or embed
+ *   --scope <scope>      Who can use the link: organization (default),
+ *                        anonymous or users (the people given with --grant)
+ *   --expires <when>     Link expiry: ISO date/time or a number of days
+ *                        ("7d")
+ *   --password           Require a password for the link (with --scope
+ *                        anonymous, where the tenant allows it)
+ *   --grant <recipient>  Grant access to a user or group by email or
+ *                        Entra object ID (repeatable); with --link --scope
+ *                        users, the people who can use the link
+ *   --role <role>        Role to grant: read (default) or write
+ *   --message <text>     Message for the invitation email
+ *   --no-notify          Don't send an invitation email
+ *   --revoke <id>        Remove a link or grant by permission ID (as
+ *                        listed)
+ * 
+ * Output: JSON array of permissions, or a confirmation
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { createClient } = require('./lib/graph-client');
+const { GraphError } = require('./lib/errors');
+const { isUrl } = require('./lib/locations');
+const { parseCommandLine, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-share.js <site-name|url> <path> [--library <name>]');
+  console.error('       node sharepoint-share.js <site-name|url> <path> --link view|edit|embed [--scope organization|anonymous] [--expires <date|Nd>] [--password]');
+  console.error('       node sharepoint-share.js <site-name|url> <path> --link view|edit --scope users --grant <email|object-id> [--expires <date|Nd>]');
+  console.error('       node sharepoint-share.js <site-name|url> <path> --grant <email|object-id> [--role read|write] [--message <text>] [--no-notify]');
+  console.error('       node sharepoint-share.js <site-name|url> <path> --revoke <permission-id>');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-share.js TeamSite "Reports/q1.pdf"');
+  console.error('  node sharepoint-share.js TeamSite "Reports/q1.pdf" --link view --scope anonymous --expires 7d');
+  console.error('  node sharepoint-share.js TeamSite "Reports/q1.pdf" --link edit --scope users --grant reviewer@partner.com');
+  console.error('  node sharepoint-share.js TeamSite "Reports" --grant reviewer@partner.com --role write');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  link: { type: 'string' },
+  scope: { type: 'string' },
+  expires: { type: 'string' },
+  password: { type: 'boolean' },
+  grant: { type: 'string', multiple: true },
+  role: { type: 'string' },
+  message: { type: 'string' },
+  'no-notify': { type: 'boolean' },
+  revoke: { type: 'string' }
+}, usage);
+
+const LINK_TYPES = ['view', 'edit', 'embed'];
+const LINK_SCOPES = ['organization', 'anonymous', 'users'];
+const ROLES = ['read', 'write'];
+
+// An item URL needs no separate path
+if (positionals.length < (isUrl(positionals[0] || '') ? 1 : 2)) {
+  usage();
+  process.exit(1);
+}
+
+if (positionals.length > 2) {
+  console.error(values.password
+    ? 'ERROR: --password takes no value: set SHAREPOINT_LINK_PASSWORD or pass the password on stdin'
+    : `ERROR: Unexpected argument: ${positionals[2]}`);
+  process.exit(1);
+}
+
+const scope = values.scope || 'organization';
+const role = values.role || 'read';
+
+if (values.revoke && (values.link || values.grant)) {
+  console.error('ERROR: --revoke can\'t be combined with --link or --grant');
+  process.exit(1);
+}
+
+if (!values.link && (values.scope || values.expires || values.password)) {
+  console.error('ERROR: --scope, --expires and --password are only used with --link');
+  process.exit(1);
+}
+
+if (values.password && scope !== 'anonymous') {
+  console.error('ERROR: --password is only used with --scope anonymous');
+  process.exit(1);
+}
+
+if (values.link && (values.role || values.message || values['no-notify'])) {
+  console.error('ERROR: --role, --message and --no-notify are only used with --grant (without --link)');
+  process.exit(1);
+}
+
+// A specific-people link is useless without people
+if (values.link && (scope === 'users') !== !!values.grant) {
+  console.error(values.grant
+    ? 'ERROR: --grant with --link needs --scope users (a link for specific people)'
+    : 'ERROR: --scope users needs the people who can use the link: add --grant <email|object-id>');
+  process.exit(1);
+}
+
+if (values.link && !LINK_TYPES.includes(values.link)) {
+  console.error(`ERROR: --link must be one of: ${LINK_TYPES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!LINK_SCOPES.includes(scope)) {
+  console.error(`ERROR: --scope must be one of: ${LINK_SCOPES.join(', ')}`);
+  process.exit(1);
+}
+
+if (!ROLES.includes(role)) {
+  console.error(`ERROR: --role must be one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+const expiresAt = values.expires ? parseExpiry(values.expires) : undefined;
+
+async function main() {
+  const password = values.password ? await readPassword() : undefined;
+  const client = createClient();
+
+  const target = await client.resolveItem(siteRef, positionals[1], { library: values.library });
+  const itemUrl = `/drives/${target.driveId}/items/${target.item.id}`;
+  const itemPath = target.path || target.item.name;
+
+  if (values.link) {
+    await createLink(client, itemUrl, itemPath, password);
+  } else if (values.grant) {
+    await grantAccess(client, itemUrl, itemPath);
+  } else if (values.revoke) {
+    await revokePermission(client, itemUrl, itemPath, values.revoke);
+  } else {
+    const { items } = await client.collect(`${itemUrl}/permissions`);
+    console.log(JSON.stringify(items.map(toPermissionEntry), null, 2));
+  }
+}
+
+async function createLink(client, itemUrl, itemPath, password) {
+  const body = { type: values.link, scope };
+
+  if (values.grant) {
+    body.recipients = values.grant.map(toRecipient);
+  }
+
+  if (expiresAt) {
+    body.expirationDateTime = expiresAt;
+  }
+
+  if (password) {
+    body.password = password;
+  }
+
+  const permission = await client.request('POST', `${itemUrl}/createLink`, { body });
+
+  console.log(`✓ Created ${permission.link.type} link (${permission.link.scope}): ${itemPath}`);
+  console.log(`  URL: ${permission.link.webUrl}`);
+
+  if (permission.expirationDateTime) {
+    console.log(`  Expires: ${permission.expirationDateTime}`);
+  }
+
+  if (permission.hasPassword) {
+    console.log('  Password protected');
+  }
+
+  if (values.grant) {
+    const grantees = describeGrantees(permission);
+    console.log(`  For: ${(grantees.length > 0 ? grantees : values.grant).join(', ')}`);
+  }
+
+  console.log(`  Permission ID: ${permission.id}`);
+}
+
+async function grantAccess(client, itemUrl, itemPath) {
+  const body = {
+    recipients: values.grant.map(toRecipient),
+    roles: [role],
+    requireSignIn: true,
+    sendInvitation: !values['no-notify']
+  };
+
+  if (values.message) {
+    body.message = values.message;
+  }
+
+  const result = await client.request('POST', `${itemUrl}/invite`, { body });
+
+  console.log(`✓ Granted ${role} access: ${itemPath}`);
+
+  for (const permission of result.value || []) {
+    console.log(`  ${describeGrantees(permission).join(', ')} (Permission ID: ${permission.id})`);
+  }
+}
+
+async function revokePermission(client, itemUrl, itemPath, permissionId) {
+  try {
+    await client.request('DELETE', `${itemUrl}/permissions/${encodeURIComponent(permissionId)}`);
+  } catch (err) {
+    if (err.status === 404) {
+      const notFound = new GraphError(`Permission not found: ${permissionId}`, err);
+      notFound.hint = 'Run without --revoke to list the item\'s permissions';
+      throw notFound;
+    }
+    throw err;
+  }
+
+  console.log(`✓ Revoked permission ${permissionId}: ${itemPath}`);
+}
+
+/**
+ * Link password from $SHAREPOINT_LINK_PASSWORD, the first line of stdin,
+ * or a prompt that doesn't echo it on a terminal.
+ */
+async function readPassword() {
+  let password = process.env.SHAREPOINT_LINK_PASSWORD;
+
+  if (!password && process.stdin.isTTY) {
+    process.stderr.write('Link password: ');
+
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: new Writable({ write: (chunk, encoding, callback) => callback() }),
+      terminal: true
+    });
+
+    password = await new Promise(resolve => rl.question('', resolve));
+    rl.close();
+    process.stderr.write('\n');
+  } else if (!password) {
+    password = fs.readFileSync(0, 'utf8').split(/\r?\n/)[0];
+  }
+
+  if (!password) {
+    console.error('ERROR: Empty link password (set SHAREPOINT_LINK_PASSWORD or pass it on stdin)');
+    process.exit(1);
+  }
+
+  return password;
+}
+
+/**
+ * Expiry as an ISO timestamp: "7d" is seven days from now, anything else
+ * must parse as a date.
+ */
+function parseExpiry(value) {
+  const days = value.match(/^(\d+)d$/);
+  const date = days ? new Date(Date.now() + Number(days[1]) * 24 * 60 * 60 * 1000) : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    console.error(`ERROR: --expires must be a date (2026-12-31) or a number of days (7d), got: ${value}`);
+    process.exit(1);
+  }
+
+  return date.toISOString();
+}
+
+function toRecipient(value) {
+  // Groups without a mailbox can only be addressed by object ID
+  const isObjectId = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+  return isObjectId ? { objectId: value } : { email: value };
+}
+
+/**
+ * Names of the users/groups a permission applies to, from its identity sets.
+ */
+function describeGrantees(permission) {
+  const identitySets = [permission.grantedToV2, ...(permission.grantedToIdentitiesV2 || [])].filter(Boolean);
+  const names = [];
+
+  for (const identitySet of identitySets) {
+    for (const kind of ['user', 'group', 'siteUser', 'siteGroup', 'application']) {
+      const identity = identitySet[kind];
+
+      if (identity) {
+        const name = identity.displayName || identity.loginName || identity.id;
+        names.push(identity.email && identity.email !== name ? `${name} <${identity.email}>` : name);
+      }
+    }
+  }
+
+  return [...new Set(names)];
+}
+
+function toPermissionEntry(permission) {
+  return {
+    id: permission.id,
+    kind: permission.link ? 'link' : 'grant',
+    roles: permission.roles,
+    linkType: permission.link?.type,
+    scope: permission.link?.scope,
+    url: permission.link?.webUrl,
+    grantedTo: describeGrantees(permission),
+    expires: permission.expirationDateTime,
+    hasPassword: permission.hasPassword,
+    inherited: !!permission.inheritedFrom
+  };
+}
+
+main().catch(fail);
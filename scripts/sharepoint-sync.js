@@ -0,0 +1,435 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Sync
+ * Mirrors a folder tree between SharePoint and a local directory via
+ * Microsoft Graph API, transferring only what changed since the last sync
+ *
+ * Usage:
+ *   node sharepoint-sync.js <pull|push|both> <site-name|url> <remote-folder> <local-dir> [options]
+ *   node sharepoint-sync.js <pull|push|both> <folder-url> <local-dir> [options]
+ *   node sharepoint-sync.js pull TeamSite "Projects/Alpha" ./alpha
+ *   node sharepoint-sync.js push TeamSite "Projects/Alpha/build" ./dist --delete
+ *   node sharepoint-sync.js both TeamSite "Projects/Alpha" ./alpha --dry-run
+ *
+ *   pull  Apply remote changes to the local directory
+ *   push  Apply local changes to the remote folder
+ *   both  Both directions
+ *
+ * Remote changes come from the drive's delta query; the delta link is kept
+ * with the sync state in ~/.config/bobby/sharepoint-sync/, so later runs
+ * only fetch what changed. Local changes are found by size and
+ * modification time.
+ *
+ * A file changed on both sides since the last sync is a conflict: it is
+ * reported and neither side is overwritten. On a first sync, files present
+ * on both sides count as in sync if their content hashes match.
+ *
+ * Deleted files are only deleted on the other side with --delete;
+ * otherwise they are reported. Folders are created as needed but never
+ * deleted.
+ *
+ * Options:
+ *   --library <name>  Document library name, URL segment or drive ID
+ *                     (default: the site's default library)
+ *   --delete          Propagate deletions (remote files go to the
+ *                     recycle bin)
+ *   --dry-run         Show what would be done without changing anything
+ *   --allow-promotion Accept uploaded Office documents that SharePoint
+ *                     changed (by writing library columns into them) with
+ *                     a warning; otherwise they fail verification
+ *
+ * Exit codes:
+ *   0  In sync
+ *   1  Error, or some transfers failed
+ *   3  Conflicts were found (everything else was synced)
+ *   130 Interrupted (completed transfers are remembered)
+ *
+ * Output: One line per change, then a summary
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('./lib/graph-client');
+const { GraphError } = require('./lib/errors');
+const { remoteHash, hashesMatch, hashFile } = require('./lib/hashes');
+const { uploadFile, downloadFile } = require('./lib/transfers');
+const { getStatePath, loadState, saveState, updateRemote, remoteTree, scanLocal, detectChanges } = require('./lib/sync');
+const { isUrl, joinRemotePath } = require('./lib/locations');
+const { EXIT_CONFLICT, parseCommandLine, isConflictError, fail } = require('./lib/cli');
+
+const MODES = ['pull', 'push', 'both'];
+
+// Exit code after Ctrl+C (128 + SIGINT)
+const EXIT_INTERRUPTED = 130;
+
+function usage() {
+  console.error('Usage: node sharepoint-sync.js <pull|push|both> <site-name|url> <remote-folder> <local-dir> [--delete] [--dry-run] [--library <name>] [--allow-promotion]');
+  console.error('       node sharepoint-sync.js <pull|push|both> <folder-url> <local-dir>');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-sync.js pull TeamSite "Projects/Alpha" ./alpha');
+  console.error('  node sharepoint-sync.js push TeamSite "Projects/Alpha/build" ./dist --delete');
+  console.error('  node sharepoint-sync.js both TeamSite "Projects/Alpha" ./alpha --dry-run');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  delete: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  'allow-promotion': { type: 'boolean' }
+}, usage);
+
+const [mode, siteRef, ...rest] = positionals;
+
+// A folder URL needs no separate remote folder
+const urlIsFolder = isUrl(siteRef || '') && rest.length === 1;
+
+if (!MODES.includes(mode) || rest.length < (urlIsFolder ? 1 : 2)) {
+  usage();
+  process.exit(1);
+}
+
+const remoteArg = urlIsFolder ? undefined : rest[0];
+const localDir = rest[rest.length - 1];
+const pull = mode !== 'push';
+const push = mode !== 'pull';
+const dryRun = values['dry-run'];
+
+if (fs.existsSync(localDir) && !fs.statSync(localDir).isDirectory()) {
+  console.error(`ERROR: Not a directory: ${localDir}`);
+  process.exit(1);
+}
+
+const counts = { downloaded: 0, uploaded: 0, deleted: 0, inSync: 0, conflicts: 0, kept: 0, otherSide: 0, failed: 0 };
+
+async function main() {
+  const client = createClient();
+
+  const target = await client.resolveItem(siteRef, remoteArg, { library: values.library });
+  const { driveId, item: folder } = target;
+
+  if (!folder.folder) {
+    console.error(`ERROR: Not a folder: ${target.path || folder.name}`);
+    process.exit(1);
+  }
+
+  const statePath = getStatePath(driveId, folder.id, localDir);
+  const state = loadState(statePath);
+  const firstSync = !state.deltaLink;
+
+  console.error(firstSync ? 'Reading the library (first sync)...' : 'Fetching remote changes...');
+  await updateRemote(client, driveId, folder.id, state);
+
+  const remote = remoteTree(state, folder.id);
+  const local = scanLocal(localDir);
+  const changes = detectChanges(state.baseline, remote.files, local.files);
+
+  // Completed transfers are remembered even if the run is cut short
+  process.once('SIGINT', () => {
+    if (!dryRun) {
+      saveState(statePath, state);
+    }
+    console.error('');
+    console.error('Interrupted: run the same command again to continue');
+    process.exit(EXIT_INTERRUPTED);
+  });
+
+  const sync = {
+    client,
+    driveId,
+    state,
+    remotePath: target.path,
+    // Known remote folders by relative path
+    folderIds: new Map([['', folder.id], ...[...remote.folders].map(([relPath, entry]) => [relPath, entry.id])])
+  };
+
+  if (!dryRun) {
+    fs.mkdirSync(localDir, { recursive: true });
+  }
+
+  await syncFolders(sync, remote.folders, local.folders);
+
+  for (const change of changes) {
+    try {
+      await syncFile(sync, change);
+    } catch (err) {
+      counts.failed++;
+      console.error(`✗ Failed: ${change.path}: ${err.message}`);
+    }
+  }
+
+  if (!dryRun) {
+    saveState(statePath, state);
+  }
+
+  printSummary(target);
+
+  if (counts.failed > 0) {
+    process.exit(1);
+  }
+
+  if (counts.conflicts > 0) {
+    process.exit(EXIT_CONFLICT);
+  }
+}
+
+/**
+ * Create folders that only exist on one side (including empty ones).
+ */
+async function syncFolders(sync, remoteFolders, localFolders) {
+  if (pull) {
+    for (const relPath of remoteFolders.keys()) {
+      if (!localFolders.has(relPath) && !dryRun) {
+        fs.mkdirSync(path.join(localDir, relPath), { recursive: true });
+      }
+    }
+  }
+
+  if (push) {
+    for (const relPath of [...localFolders].sort()) {
+      if (!remoteFolders.has(relPath)) {
+        console.log(`+ ${relPath}/`);
+
+        if (!dryRun) {
+          await ensureRemoteFolder(sync, relPath);
+        }
+      }
+    }
+  }
+}
+
+async function syncFile(sync, change) {
+  const { path: relPath, remote, local, remoteChange, localChange } = change;
+
+  if (remoteChange && localChange) {
+    return reconcile(sync, change);
+  }
+
+  if (remoteChange && pull) {
+    if (remote) {
+      return download(sync, relPath, remote);
+    }
+    return propagateDelete(sync, relPath, 'remotely', () => fs.rmSync(path.join(localDir, relPath)));
+  }
+
+  if (localChange && push) {
+    if (local) {
+      return upload(sync, relPath, local, remote);
+    }
+    return propagateDelete(sync, relPath, 'locally', () =>
+      sync.client.request('DELETE', `/drives/${sync.driveId}/items/${remote.id}`));
+  }
+
+  // Changed on the side this mode doesn't copy from: left for a later run
+  counts.otherSide++;
+}
+
+/**
+ * A file changed on both sides: fine if both now have the same content
+ * (or both deleted it), a conflict otherwise.
+ */
+async function reconcile(sync, { path: relPath, remote, local }) {
+  if (!remote && !local) {
+    delete sync.state.baseline[relPath];
+    return;
+  }
+
+  if (remote && local && await sameContent(relPath, remote, local)) {
+    counts.inSync++;
+    recordSynced(sync, relPath, remote, local);
+    return;
+  }
+
+  counts.conflicts++;
+  console.log(`! Conflict: ${relPath} (${describeConflict(remote, local)})`);
+}
+
+function describeConflict(remote, local) {
+  if (!remote) {
+    return 'deleted remotely, changed locally';
+  }
+  if (!local) {
+    return 'changed remotely, deleted locally';
+  }
+  return 'changed on both sides';
+}
+
+async function sameContent(relPath, remote, local) {
+  const hash = remoteHash(remote);
+
+  if (!hash || remote.size !== local.size) {
+    return false;
+  }
+
+  return hashesMatch(hash.type, hash.value, await hashFile(path.join(localDir, relPath), hash.type));
+}
+
+async function download(sync, relPath, remote) {
+  console.log(`↓ ${relPath}`);
+
+  if (dryRun) {
+    return;
+  }
+
+  const localPath = path.join(localDir, relPath);
+
+  fs.mkdirSync(path.dirname(localPath), { recursive: true });
+  await downloadFile(sync.client, sync.driveId, remote, localPath);
+
+  counts.downloaded++;
+  const stat = fs.statSync(localPath);
+  recordSynced(sync, relPath, remote, { size: stat.size, mtimeMs: stat.mtimeMs });
+}
+
+async function upload(sync, relPath, local, remote) {
+  console.log(`↑ ${relPath}`);
+
+  if (dryRun) {
+    return;
+  }
+
+  await ensureRemoteFolder(sync, path.posix.dirname(relPath) === '.' ? '' : path.posix.dirname(relPath));
+
+  let result;
+
+  try {
+    // Only replace the version the snapshot has; a new file must not exist
+    result = await uploadFile(sync.client, sync.driveId, joinRemotePath(sync.remotePath, relPath),
+      path.join(localDir, relPath), {
+        ...(remote ? { ifMatch: remote.eTag } : { conflict: 'fail' }),
+        allowPromotion: values['allow-promotion']
+      });
+  } catch (err) {
+    if (isConflictError(err)) {
+      counts.conflicts++;
+      console.log(`! Conflict: ${relPath} (changed remotely during the sync)`);
+      return;
+    }
+    throw err;
+  }
+
+  // SharePoint rewrote the document after the upload returned: the baseline
+  // needs its final cTag, or the next pull would download it as a change
+  const item = result.promoted
+    ? await sync.client.request('GET', `/drives/${sync.driveId}/items/${result.item.id}`)
+    : result.item;
+
+  counts.uploaded++;
+  recordSynced(sync, relPath, item, local);
+}
+
+/**
+ * Delete a file on the other side, or only report it without --delete.
+ *
+ * @param {string} deletedOn - 'remotely' or 'locally'
+ */
+async function propagateDelete(sync, relPath, deletedOn, deleteOther) {
+  const otherSide = deletedOn === 'remotely' ? 'locally' : 'remotely';
+
+  if (!values.delete) {
+    counts.kept++;
+    console.log(`- ${relPath} (deleted ${deletedOn}, kept ${otherSide})`);
+    return;
+  }
+
+  console.log(`✗ ${relPath} (deleted ${deletedOn})`);
+
+  if (dryRun) {
+    return;
+  }
+
+  try {
+    await deleteOther();
+  } catch (err) {
+    // Already gone is what we wanted
+    if (err.status !== 404 && err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  counts.deleted++;
+  delete sync.state.baseline[relPath];
+}
+
+/**
+ * Remember both sides of a file as synced.
+ */
+function recordSynced(sync, relPath, item, local) {
+  sync.state.baseline[relPath] = {
+    id: item.id,
+    cTag: item.cTag,
+    eTag: item.eTag,
+    size: local.size,
+    mtimeMs: local.mtimeMs
+  };
+}
+
+/**
+ * Create a remote folder (and missing parents) under the synced folder.
+ *
+ * @returns {Promise<string>} The folder's item ID
+ */
+async function ensureRemoteFolder(sync, relPath) {
+  if (sync.folderIds.has(relPath)) {
+    return sync.folderIds.get(relPath);
+  }
+
+  const parentPath = path.posix.dirname(relPath) === '.' ? '' : path.posix.dirname(relPath);
+  const parentId = await ensureRemoteFolder(sync, parentPath);
+  const name = path.posix.basename(relPath);
+  let created;
+
+  try {
+    created = await sync.client.request('POST', `/drives/${sync.driveId}/items/${parentId}/children`, {
+      body: { name, folder: {}, '@microsoft.graph.conflictBehavior': 'fail' }
+    });
+  } catch (err) {
+    if (err.status !== 409) {
+      throw err;
+    }
+    // Created since the snapshot was taken
+    created = await sync.client.getItem(sync.driveId, joinRemotePath(sync.remotePath, relPath));
+
+    if (!created.folder) {
+      throw new GraphError(`Not a folder: ${relPath}`, { status: 409 });
+    }
+  }
+
+  sync.folderIds.set(relPath, created.id);
+  return created.id;
+}
+
+function printSummary(target) {
+  const remoteName = target.path || target.item.name;
+  const arrow = { pull: '→', push: '←', both: '↔' }[mode];
+
+  console.log(`${dryRun ? '✓ Dry run' : '✓ Synced'}: ${remoteName} ${arrow} ${localDir}`);
+
+  if (!dryRun) {
+    console.log(`  Downloaded: ${counts.downloaded}`);
+    console.log(`  Uploaded: ${counts.uploaded}`);
+    console.log(`  Deleted: ${counts.deleted}`);
+  }
+
+  if (counts.inSync > 0) {
+    console.log(`  Already identical: ${counts.inSync}`);
+  }
+
+  if (counts.kept > 0) {
+    console.log(`  Deletions not propagated: ${counts.kept} (use --delete)`);
+  }
+
+  if (counts.otherSide > 0) {
+    console.log(`  Not ${pull ? 'pushed' : 'pulled'}: ${counts.otherSide} (changed ${pull ? 'locally' : 'remotely'})`);
+  }
+
+  if (counts.conflicts > 0) {
+    console.log(`  Conflicts: ${counts.conflicts} (resolve them, then sync again)`);
+  }
+
+  if (counts.failed > 0) {
+    console.log(`  Failed: ${counts.failed}`);
+  }
+}
+
+main().catch(fail);
@@ -4,207 +4,470 @@
  * Uploads a file to SharePoint via Microsoft Graph API
  * 
  * Usage:
- *   node sharepoint-upload.js <site-name> <local-file> <remote-path>
+ *   node sharepoint-upload.js <site-name> <local-file> <remote-path> [options]
+ *   node sharepoint-upload.js <folder-url> <local-file> [remote-path] [options]
  *   node sharepoint-upload.js TeamSite ./document.pdf "Shared Documents/General/document.pdf"
  *   node sharepoint-upload.js TeamSite ./file.txt "file.txt"  # Upload to root
+ *   node sharepoint-upload.js TeamSite ./nda.pdf "2026/nda.pdf" --library Contracts
+ *   node sharepoint-upload.js "https://contoso.sharepoint.com/teams/Mk/Shared%20Documents/Plans" ./plan.docx
+ *   node sharepoint-upload.js TeamSite ./dist "Builds/2026-03" --parallel 8
  * 
- * Output: Upload confirmation with file URL
+ * With a library or folder URL, the remote path is relative to it and
+ * defaults to the local file name. With a file URL, that file is replaced.
+ * 
+ * A local directory is uploaded with its subfolders (including empty ones)
+ * to the remote path, which is created if needed. Files whose size and
+ * content hash already match the remote copy are skipped. With
+ * --allow-promotion, so are Office documents not modified locally since the
+ * remote copy was last written (SharePoint changes their hash when it
+ * writes library columns into them); they are counted separately.
+ * 
+ * Options:
+ *   --library <name>     Document library name, URL segment or drive ID
+ *                        (default: the site's default library)
+ *   --conflict <mode>    What to do if the remote file exists:
+ *                        replace (default), fail or rename
+ *   --if-match <etag>    Only overwrite if the remote file still has this
+ *                        eTag (or cTag), as reported by list-files/download
+ *   --field <name=value> Set a library column on the uploaded file
+ *                        (repeatable; validated before uploading)
+ *   --checkout           For libraries that require check-out: check the
+ *                        file out, upload, and check it back in
+ *   --comment <text>     Version comment for the check-in (--checkout)
+ *   --parallel <n>       Directories: files uploaded at a time (default: 4)
+ *   --allow-promotion    Accept Office documents that SharePoint changed
+ *                        on upload (see below) with a warning; directories:
+ *                        skip those not modified locally since
+ * 
+ * --if-match, --field and --checkout only apply to single files.
+ * 
+ * Exit codes:
+ *   0  Uploaded
+ *   1  Error (directories: at least one file failed)
+ *   3  Rejected: the file exists (--conflict fail) or changed (--if-match)
+ *   4  Uploaded, but the remote content doesn't match the local file
+ * 
+ * After uploading, the size and content hash (quickXorHash) SharePoint
+ * reports for the file are compared with the local file. In libraries with
+ * columns, SharePoint may write their values into Office documents (.docx,
+ * .xlsx, .pptx), which changes them: --allow-promotion turns a mismatch
+ * there into a warning, the file being reported as not verified.
+ * 
+ * Output: Upload confirmation with file URL and new eTag; for a directory,
+ * one line per uploaded file and a summary
  */
 
-const https = require('https');
 const fs = require('fs');
-const { execSync } = require('child_process');
 const path = require('path');
+const { createClient } = require('./lib/graph-client');
+const { GraphError, IntegrityError } = require('./lib/errors');
+const { isUrl, splitPath, joinRemotePath } = require('./lib/locations');
+const { getColumns, parseAssignments, buildFieldValues } = require('./lib/metadata');
+const { checkOut, checkIn, discardCheckout } = require('./lib/checkout');
+const { verifyFile, mayBePromoted } = require('./lib/hashes');
+const { uploadFile, forEachParallel } = require('./lib/transfers');
+const { scanLocal } = require('./lib/sync');
+const { EXIT_CONFLICT, EXIT_MISMATCH, parseCommandLine, parsePositiveInt, isConflictError, fail } = require('./lib/cli');
 
-const args = process.argv.slice(2);
-
-if (args.length < 3) {
-  console.error('Usage: node sharepoint-upload.js <site-name> <local-file> <remote-path>');
+function usage() {
+  console.error('Usage: node sharepoint-upload.js <site-name|url> <local-file|dir> <remote-path> [--library <name>]');
+  console.error('       node sharepoint-upload.js <folder-url> <local-file|dir> [remote-path]');
+  console.error('Options: --conflict replace|fail|rename  --if-match <etag>  --field <name=value>');
+  console.error('         --checkout [--comment <text>]  --parallel <n>  --allow-promotion');
   console.error('');
   console.error('Examples:');
   console.error('  node sharepoint-upload.js TeamSite ./document.pdf "document.pdf"');
   console.error('  node sharepoint-upload.js TeamSite ./file.txt "General/file.txt"');
+  console.error('  node sharepoint-upload.js TeamSite ./nda.pdf "2026/nda.pdf" --library Contracts');
+  console.error('  node sharepoint-upload.js TeamSite ./plan.docx "plan.docx" --conflict rename');
+  console.error('  node sharepoint-upload.js TeamSite ./nda.pdf "nda.pdf" --field ClientName=Contoso --field Status=Draft');
+  console.error('  node sharepoint-upload.js "https://contoso.sharepoint.com/sites/TeamSite/Shared%20Documents/General" ./file.txt');
+  console.error('  node sharepoint-upload.js TeamSite ./dist "Builds/2026-03" --parallel 8');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  conflict: { type: 'string', default: 'replace' },
+  'if-match': { type: 'string' },
+  field: { type: 'string', multiple: true },
+  checkout: { type: 'boolean' },
+  comment: { type: 'string' },
+  parallel: { type: 'string' },
+  'allow-promotion': { type: 'boolean' }
+}, usage);
+
+const CONFLICT_BEHAVIORS = ['replace', 'fail', 'rename'];
+
+if (!CONFLICT_BEHAVIORS.includes(values.conflict)) {
+  console.error(`ERROR: --conflict must be one of: ${CONFLICT_BEHAVIORS.join(', ')}`);
+  process.exit(1);
+}
+
+if (values.comment && !values.checkout) {
+  console.error('ERROR: --comment is only used with --checkout');
   process.exit(1);
 }
 
-const siteName = args[0];
-const localFile = args[1];
-const remotePath = args[2];
+const uploadOptions = {
+  conflict: values.conflict,
+  ifMatch: values['if-match'],
+  allowPromotion: values['allow-promotion']
+};
+
+// With a folder URL the remote path defaults to the local file name
+if (positionals.length < (isUrl(positionals[0] || '') ? 2 : 3)) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+const localFile = positionals[1];
 
 if (!fs.existsSync(localFile)) {
   console.error(`ERROR: Local file not found: ${localFile}`);
   process.exit(1);
 }
 
+const isDirectory = fs.statSync(localFile).isDirectory();
 const fileSize = fs.statSync(localFile).size;
-const fileName = path.basename(remotePath);
+const parallel = parsePositiveInt(values.parallel, '--parallel') || 4;
 
-console.error(`Uploading: ${localFile} → ${remotePath}`);
-console.error(`Size: ${fileSize} bytes`);
-
-// Get access token
-const authScript = path.join(__dirname, 'sharepoint-auth.js');
-let token;
-
-try {
-  token = execSync(`node ${authScript}`, { encoding: 'utf8' }).trim();
-} catch (err) {
-  console.error('ERROR: Failed to get access token');
-  console.error(err.message);
+if (isDirectory && (values['if-match'] || values.field || values.checkout)) {
+  console.error('ERROR: --if-match, --field and --checkout only apply to single files');
   process.exit(1);
 }
 
-// Get tenant
-const getTenantScript = path.join(__dirname, 'get-tenant.js');
-let tenant;
-
-try {
-  tenant = execSync(`node ${getTenantScript}`, { encoding: 'utf8' }).trim();
-} catch (err) {
-  console.error('ERROR: Failed to get tenant');
-  console.error(err.message);
+if (values.parallel && !isDirectory) {
+  console.error('ERROR: --parallel is only used when uploading a directory');
   process.exit(1);
 }
 
-// Graph API request
-const hostname = 'graph.microsoft.com';
-const siteId = `${tenant}.sharepoint.com:/sites/${siteName}`;
+async function main() {
+  const client = createClient();
 
-// Get site ID -> drive ID -> upload file
-getSiteId(siteId, token, (actualSiteId) => {
-  getDriveId(actualSiteId, token, (driveId) => {
-    if (fileSize < 4 * 1024 * 1024) {
-      // Small file: simple upload
-      uploadSmallFile(driveId, remotePath, localFile, token);
-    } else {
-      // Large file: resumable upload session
-      uploadLargeFile(driveId, remotePath, localFile, token);
-    }
-  });
-});
-
-function getSiteId(site, token, callback) {
-  const apiPath = `/v1.0/sites/${site}`;
-  
-  makeRequest(hostname, apiPath, token, (data) => {
-    if (data.id) {
-      callback(data.id);
-    } else {
-      console.error('ERROR: Site not found');
-      console.error(JSON.stringify(data, null, 2));
+  // Site/URL -> drive + folder -> upload file
+  const location = await client.resolve(siteRef, { library: values.library });
+  const driveId = location.driveId;
+  let remotePath;
+
+  if (isDirectory) {
+    if (location.item?.file) {
+      console.error(`ERROR: Cannot upload a directory to a file: ${location.path}`);
       process.exit(1);
     }
-  });
+
+    remotePath = joinRemotePath(location.path, positionals[2] || path.basename(path.resolve(localFile)));
+    return uploadDirectory(client, driveId, remotePath);
+  }
+
+  if (location.item?.file) {
+    // The URL points at an existing file: replace it
+    remotePath = location.path;
+  } else {
+    remotePath = joinRemotePath(location.path, positionals[2] || path.basename(localFile));
+  }
+
+  // Check the metadata first so a bad value doesn't leave an untagged file
+  const fieldValues = values.field
+    ? buildFieldValues(await getColumns(client, driveId), parseAssignments(values.field))
+    : null;
+
+  // An existing file is checked out first; a new one is created checked
+  // out to us in libraries that require check-out
+  const checkedOut = values.checkout ? await checkOutExisting(client, driveId, remotePath) : null;
+
+  console.error(`Uploading: ${localFile} → ${remotePath}`);
+  console.error(`Size: ${fileSize} bytes`);
+
+  let result;
+  let verified;
+  let promoted;
+
+  try {
+    // Files of 4MB and more go through a resumable upload session
+    ({ item: result, verified, promoted } = await uploadFile(client, driveId, remotePath, localFile, uploadOptions));
+  } catch (err) {
+    if (checkedOut) {
+      // Leave the file as we found it (this also drops corrupt content)
+      await discardCheckout(client, driveId, checkedOut.id).catch(() => {});
+    }
+    throw err;
+  }
+
+  printUploadResult(result, verified, promoted);
+
+  if (fieldValues) {
+    await client.request('PATCH', `/drives/${driveId}/items/${result.id}/listItem/fields`, { body: fieldValues });
+    console.log(`  Fields: ${Object.keys(fieldValues).filter(key => !key.includes('@')).join(', ')}`);
+  }
+
+  if (values.checkout) {
+    try {
+      await checkIn(client, driveId, result.id, { comment: values.comment });
+      console.log('  Checked in');
+    } catch (err) {
+      // A new file is only checked out if the library requires check-out
+      if (checkedOut || !err.status || err.status >= 500) {
+        throw err;
+      }
+      console.error('  New file was not checked out, nothing to check in');
+    }
+  }
 }
 
-function getDriveId(siteId, token, callback) {
-  const apiPath = `/v1.0/sites/${siteId}/drive`;
-  
-  makeRequest(hostname, apiPath, token, (data) => {
-    if (data.id) {
-      callback(data.id);
-    } else {
-      console.error('ERROR: Drive not found');
-      console.error(JSON.stringify(data, null, 2));
-      process.exit(1);
+/**
+ * Check out the remote file if it exists.
+ *
+ * @returns {Promise<Object|null>} The checked-out item, or null for a new file
+ */
+async function checkOutExisting(client, driveId, remotePath) {
+  let item;
+
+  try {
+    item = await client.getItem(driveId, remotePath);
+  } catch (err) {
+    if (err.status === 404) {
+      return null;
     }
-  });
+    throw err;
+  }
+
+  await checkOut(client, driveId, item.id);
+  console.error(`Checked out: ${remotePath}`);
+  return item;
 }
 
-function uploadSmallFile(driveId, remotePath, localFile, token) {
-  const encodedPath = encodeURIComponent(remotePath);
-  const apiPath = `/v1.0/drives/${driveId}/root:/${encodedPath}:/content`;
-  
-  const fileContent = fs.readFileSync(localFile);
-  
-  const options = {
-    hostname: 'graph.microsoft.com',
-    port: 443,
-    path: apiPath,
-    method: 'PUT',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/octet-stream',
-      'Content-Length': fileContent.length
+/**
+ * Upload a local directory to a remote folder, skipping files that are
+ * already there with the same content.
+ */
+async function uploadDirectory(client, driveId, remoteRoot) {
+  const local = scanLocal(localFile);
+  const files = [...local.files.keys()].sort();
+  const totalBytes = files.reduce((sum, relPath) => sum + local.files.get(relPath).size, 0);
+
+  console.error(`Uploading: ${localFile} → ${remoteRoot}`);
+  console.error(`Files: ${files.length} (${totalBytes} bytes)`);
+
+  const remote = await listRemoteFolder(client, driveId, remoteRoot);
+
+  // Create the folder structure up front, so parallel uploads don't race
+  // to create the same parent folders
+  const folderIds = new Map(remote.folders);
+  await ensureFolder(client, driveId, remoteRoot, folderIds);
+
+  for (const relPath of [...local.folders].sort()) {
+    const folderPath = joinRemotePath(remoteRoot, relPath);
+
+    if (!folderIds.has(pathKey(folderPath))) {
+      await ensureFolder(client, driveId, folderPath, folderIds);
+      console.log(`+ ${relPath}/`);
     }
-  };
-
-  const req = https.request(options, (res) => {
-    let data = '';
-
-    res.on('data', (chunk) => {
-      data += chunk;
-    });
-
-    res.on('end', () => {
-      if (res.statusCode === 200 || res.statusCode === 201) {
-        try {
-          const result = JSON.parse(data);
-          console.log(`✓ Uploaded: ${result.name}`);
-          console.log(`  URL: ${result.webUrl}`);
-          console.log(`  Size: ${result.size} bytes`);
-        } catch (err) {
-          console.log('✓ Upload successful');
-        }
-      } else {
-        console.error('ERROR: Upload failed');
-        console.error(`Status: ${res.statusCode}`);
-        console.error(data);
-        process.exit(1);
+  }
+
+  const counts = { uploaded: 0, skipped: 0, promoted: 0, failed: 0, bytes: 0 };
+
+  await forEachParallel(files, parallel, async (relPath) => {
+    const filePath = path.join(localFile, relPath);
+    const existing = remote.files.get(pathKey(relPath));
+
+    try {
+      if (existing && await isUnchanged(filePath, existing)) {
+        counts.skipped++;
+        return;
       }
-    });
+
+      if (existing && values['allow-promotion'] && mayBePromotedCopy(filePath, existing)) {
+        counts.promoted++;
+        console.log(`= ${relPath} (remote copy differs, not modified locally since)`);
+        return;
+      }
+
+      const { promoted } = await uploadFile(client, driveId, joinRemotePath(remoteRoot, relPath), filePath, {
+        conflict: values.conflict,
+        allowPromotion: values['allow-promotion'],
+        // Progress of parallel uploads would be impossible to tell apart
+        log: message => console.error(`  ${relPath}: ${message.trim()}`)
+      });
+
+      counts.uploaded++;
+      counts.bytes += local.files.get(relPath).size;
+      console.log(`↑ ${relPath}${promoted ? ' (not verified: changed by SharePoint)' : ''}`);
+    } catch (err) {
+      counts.failed++;
+      console.error(`✗ Failed: ${relPath}: ${isConflictError(err) ? 'the remote file already exists' : err.message}`);
+    }
   });
 
-  req.on('error', (e) => {
-    console.error(`ERROR: ${e.message}`);
+  console.log(`✓ Uploaded directory: ${localFile} → ${remoteRoot}`);
+  console.log(`  Uploaded: ${counts.uploaded} (${counts.bytes} bytes)`);
+  console.log(`  Skipped (unchanged): ${counts.skipped}`);
+
+  if (values['allow-promotion']) {
+    console.log(`  Skipped (not modified locally, --allow-promotion): ${counts.promoted}`);
+  }
+
+  console.log(`  Failed: ${counts.failed}`);
+
+  if (counts.failed > 0) {
     process.exit(1);
-  });
+  }
+}
+
+/**
+ * Files and folders under a remote folder by path. A folder that doesn't
+ * exist yet is empty.
+ *
+ * @returns {Promise<{files: Map<string, Object>, folders: Map<string, string>}>}
+ *   Files by path relative to the folder, folder IDs by path in the drive
+ *   (including the folder itself), both keyed by pathKey()
+ */
+async function listRemoteFolder(client, driveId, folderPath) {
+  const files = new Map();
+  const folders = new Map();
+  let root;
+
+  try {
+    root = await client.getItem(driveId, folderPath);
+  } catch (err) {
+    if (err.status === 404) {
+      return { files, folders };
+    }
+    throw err;
+  }
 
-  req.write(fileContent);
-  req.end();
+  if (!root.folder) {
+    throw new GraphError(`Not a folder: ${folderPath}`);
+  }
+
+  async function walk(folderId, relDir) {
+    const { items } = await client.collect(`/drives/${driveId}/items/${folderId}/children`);
+
+    for (const item of items) {
+      const relPath = relDir ? `${relDir}/${item.name}` : item.name;
+
+      if (item.folder) {
+        folders.set(pathKey(joinRemotePath(folderPath, relPath)), item.id);
+        await walk(item.id, relPath);
+      } else {
+        files.set(pathKey(relPath), item);
+      }
+    }
+  }
+
+  folders.set(pathKey(folderPath), root.id);
+  await walk(root.id, '');
+  return { files, folders };
 }
 
-function uploadLargeFile(driveId, remotePath, localFile, token) {
-  console.error('Large file upload (>4MB) not yet implemented');
-  console.error('Use simple upload by splitting file or implement resumable upload session');
-  process.exit(1);
+/**
+ * Key for looking up remote paths: SharePoint paths are case-insensitive.
+ */
+function pathKey(remotePath) {
+  return remotePath.toLowerCase();
 }
 
-function makeRequest(hostname, path, token, callback) {
-  const options = {
-    hostname,
-    port: 443,
-    path,
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${token}`,
-      'Accept': 'application/json'
-    }
-  };
-
-  const req = https.request(options, (res) => {
-    let data = '';
-
-    res.on('data', (chunk) => {
-      data += chunk;
-    });
-
-    res.on('end', () => {
-      try {
-        const parsed = JSON.parse(data);
-        callback(parsed);
-      } catch (err) {
-        console.error('ERROR: Invalid JSON response');
-        console.error(data);
-        process.exit(1);
+/**
+ * Get or create a folder and its missing parents.
+ *
+ * @param {Map<string, string>} folderIds - Known folder IDs by pathKey(),
+ *   updated
+ * @returns {Promise<string>} The folder's ID
+ */
+async function ensureFolder(client, driveId, folderPath, folderIds) {
+  if (folderIds.has(pathKey(folderPath))) {
+    return folderIds.get(pathKey(folderPath));
+  }
+
+  const segments = splitPath(folderPath);
+  let folder;
+
+  if (segments.length === 0) {
+    folder = await client.getItem(driveId, '');
+  } else {
+    const parentId = await ensureFolder(client, driveId, segments.slice(0, -1).join('/'), folderIds);
+
+    try {
+      folder = await client.request('POST', `/drives/${driveId}/items/${parentId}/children`, {
+        body: { name: segments[segments.length - 1], folder: {}, '@microsoft.graph.conflictBehavior': 'fail' }
+      });
+    } catch (err) {
+      if (err.status !== 409) {
+        throw err;
       }
-    });
-  });
 
-  req.on('error', (e) => {
-    console.error(`ERROR: ${e.message}`);
-    process.exit(1);
-  });
+      folder = await client.getItem(driveId, folderPath);
+
+      if (!folder.folder) {
+        throw new GraphError(`Not a folder: ${folderPath}`);
+      }
+    }
+  }
 
-  req.end();
+  folderIds.set(pathKey(folderPath), folder.id);
+  return folder.id;
 }
+
+/**
+ * Whether a local file has the size and content hash of a remote one. Files
+ * SharePoint reports no hash for are never considered unchanged.
+ */
+async function isUnchanged(filePath, item) {
+  try {
+    return await verifyFile(filePath, item) !== null;
+  } catch (err) {
+    if (err instanceof IntegrityError) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Whether a differing remote Office document may be the local file with
+ * library columns written into it: the local file wasn't modified after
+ * the remote copy. Only a guess, hence only used with --allow-promotion.
+ */
+function mayBePromotedCopy(filePath, item) {
+  return mayBePromoted(item.name) && fs.statSync(filePath).mtimeMs <= Date.parse(item.lastModifiedDateTime);
+}
+
+function printUploadResult(result, verified, promoted) {
+  console.log(`✓ Uploaded: ${result.name}`);
+  console.log(`  URL: ${result.webUrl}`);
+  console.log(`  Size: ${result.size} bytes`);
+
+  if (result.eTag) {
+    console.log(`  eTag: ${result.eTag}`);
+  }
+
+  if (verified) {
+    console.log(`  ${verified.type}: ${verified.value} (verified)`);
+  } else if (promoted) {
+    console.log('  Not verified: SharePoint changed the document (accepted with --allow-promotion)');
+  } else {
+    console.error('  No content hash reported for this file: only the size was verified');
+  }
+}
+
+function failUpload(err) {
+  if (err instanceof IntegrityError) {
+    fail(err, EXIT_MISMATCH);
+  }
+
+  if (!isConflictError(err)) {
+    fail(err);
+  }
+
+  if (err.status === 412) {
+    err.hint = `The remote file no longer matches eTag ${values['if-match']}; ` +
+      'list it again to get the current eTag before overwriting';
+  } else {
+    err.hint = 'The remote file already exists; use --conflict replace to overwrite it ' +
+      'or --conflict rename to keep both';
+  }
+
+  fail(err, EXIT_CONFLICT);
+}
+
+main().catch(failUpload);
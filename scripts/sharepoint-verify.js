@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * SharePoint Verify File
+ * Compares a local file with a file in SharePoint by size and content
+ * hash via Microsoft Graph API
+ *
+ * Usage:
+ *   node sharepoint-verify.js <site-name|url> <remote-path> <local-file> [options]
+ *   node sharepoint-verify.js <file-url> <local-file> [options]
+ *   node sharepoint-verify.js TeamSite "General/report.docx" ./report.docx
+ *   node sharepoint-verify.js TeamSite "2026/nda.pdf" ./nda.pdf --library Contracts
+ *
+ * The local file is hashed the way SharePoint hashes it (quickXorHash;
+ * sha256/sha1 where that is all the item reports) and compared with the
+ * value reported for the remote file.
+ *
+ * Options:
+ *   --library <name>  Document library name, URL segment or drive ID
+ *                     (default: the site's default library)
+ *
+ * Exit codes:
+ *   0  The files match
+ *   1  Error
+ *   4  The files differ
+ *
+ * Output: Confirmation with the compared size and hash
+ */
+
+const fs = require('fs');
+const { createClient } = require('./lib/graph-client');
+const { IntegrityError } = require('./lib/errors');
+const { verifyFile } = require('./lib/hashes');
+const { isUrl } = require('./lib/locations');
+const { EXIT_MISMATCH, parseCommandLine, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-verify.js <site-name|url> <remote-path> <local-file> [--library <name>]');
+  console.error('       node sharepoint-verify.js <file-url> <local-file>');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-verify.js TeamSite "General/report.docx" ./report.docx');
+  console.error('  node sharepoint-verify.js TeamSite "2026/nda.pdf" ./nda.pdf --library Contracts');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' }
+}, usage);
+
+// A file URL needs no separate remote path
+const urlIsItem = isUrl(positionals[0] || '') && positionals.length === 2;
+
+if (positionals.length < (urlIsItem ? 2 : 3)) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+const remoteArg = urlIsItem ? undefined : positionals[1];
+const localFile = positionals[positionals.length - 1];
+
+if (!fs.existsSync(localFile)) {
+  console.error(`ERROR: Local file not found: ${localFile}`);
+  process.exit(1);
+}
+
+async function main() {
+  const client = createClient();
+
+  const target = await client.resolveItem(siteRef, remoteArg, { library: values.library });
+
+  if (!target.item.file) {
+    console.error(`ERROR: Not a file: ${target.path || target.item.name}`);
+    process.exit(1);
+  }
+
+  const verified = await verifyFile(localFile, target.item);
+
+  console.log(`✓ Match: ${localFile} = ${target.path || target.item.name}`);
+  console.log(`  Size: ${target.item.size} bytes`);
+
+  if (verified) {
+    console.log(`  ${verified.type}: ${verified.value}`);
+  } else {
+    console.error('  No content hash reported for this file: only the size was compared');
+  }
+}
+
+main().catch(err => {
+  if (err instanceof IntegrityError) {
+    err.message = `Files differ: ${err.message}`;
+    fail(err, EXIT_MISMATCH);
+  }
+  fail(err);
+});
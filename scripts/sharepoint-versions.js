@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * SharePoint File Versions
+ * Lists the version history of a file, or restores a previous version,
+ * via Microsoft Graph API
+ * 
+ * Usage:
+ *   node sharepoint-versions.js <site-name|url> <file-path> [options]
+ *   node sharepoint-versions.js <file-url> [options]
+ *   node sharepoint-versions.js TeamSite "Reports/q1.xlsx"
+ *   node sharepoint-versions.js TeamSite "Reports/q1.xlsx" --restore 3.0
+ * 
+ * To download a previous version, pass its ID to
+ * sharepoint-download.js --version.
+ * 
+ * Options:
+ *   --library <name>  Document library name, URL segment or drive ID
+ *                     (default: the site's default library)
+ *   --restore <id>    Make this version the current one. SharePoint keeps
+ *                     the replaced content as a new version.
+ * 
+ * Output: JSON array of versions, newest (current) first
+ */
+
+const { createClient } = require('./lib/graph-client');
+const { GraphError } = require('./lib/errors');
+const { isUrl } = require('./lib/locations');
+const { parseCommandLine, fail } = require('./lib/cli');
+
+function usage() {
+  console.error('Usage: node sharepoint-versions.js <site-name|url> <file-path> [--restore <version-id>] [--library <name>]');
+  console.error('       node sharepoint-versions.js <file-url> [--restore <version-id>]');
+  console.error('');
+  console.error('Examples:');
+  console.error('  node sharepoint-versions.js TeamSite "Reports/q1.xlsx"');
+  console.error('  node sharepoint-versions.js TeamSite "Reports/q1.xlsx" --restore 3.0');
+}
+
+const { values, positionals } = parseCommandLine({
+  library: { type: 'string' },
+  restore: { type: 'string' }
+}, usage);
+
+// A file URL needs no separate file path
+if (positionals.length < (isUrl(positionals[0] || '') ? 1 : 2)) {
+  usage();
+  process.exit(1);
+}
+
+const siteRef = positionals[0];
+
+async function main() {
+  const client = createClient();
+
+  const target = await client.resolveItem(siteRef, positionals[1], { library: values.library });
+
+  if (!target.item.file) {
+    console.error('ERROR: Version history is only available for files');
+    process.exit(1);
+  }
+
+  const itemUrl = `/drives/${target.driveId}/items/${target.item.id}`;
+
+  if (values.restore) {
+    await restoreVersion(client, itemUrl, values.restore);
+
+    const item = await client.request('GET', itemUrl);
+
+    console.log(`✓ Restored version ${values.restore}: ${target.path || item.name}`);
+    console.log(`  Size: ${item.size} bytes`);
+    console.log(`  eTag: ${item.eTag}`);
+    return;
+  }
+
+  const { items } = await client.collect(`${itemUrl}/versions`);
+
+  const versions = items.map((version, index) => ({
+    id: version.id,
+    lastModified: version.lastModifiedDateTime,
+    modifiedBy: version.lastModifiedBy?.user?.displayName,
+    modifiedByEmail: version.lastModifiedBy?.user?.email,
+    size: version.size,
+    current: index === 0
+  }));
+
+  console.log(JSON.stringify(versions, null, 2));
+}
+
+async function restoreVersion(client, itemUrl, versionId) {
+  try {
+    await client.request('POST', `${itemUrl}/versions/${encodeURIComponent(versionId)}/restoreVersion`);
+  } catch (err) {
+    if (err.status === 404) {
+      const notFound = new GraphError(`Version not found: ${versionId}`, err);
+      notFound.hint = 'Run without --restore to list the available versions';
+      throw notFound;
+    }
+    throw err;
+  }
+}
+
+main().catch(fail);
@@ -0,0 +1,168 @@
+/**
+ * Tests for lib/archive.js: the written zip and tar files are read back
+ * with a minimal parser
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { archiveFormat, writeArchive } = require('../scripts/lib/archive');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sharepoint-archive-test-'));
+const mtime = new Date(2026, 0, 31, 12, 30, 10);
+const longName = `${'deep/'.repeat(25)}file.txt`;
+
+const contents = {
+  'a.txt': Buffer.from('hello\n'),
+  'sub/ünïcode.bin': Buffer.from(Array.from({ length: 70000 }, (_, i) => (i * 7) % 251)),
+  'empty.txt': Buffer.alloc(0),
+  [longName]: Buffer.from('long\n')
+};
+
+const entries = Object.entries(contents).map(([name, data], i) => {
+  const filePath = path.join(tempDir, `source-${i}`);
+  fs.writeFileSync(filePath, data);
+  return { name, filePath, mtime };
+});
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// The gzip trailer holds the CRC-32 of the data (zlib.crc32 needs Node 20.15)
+function crc32(data) {
+  const gzipped = zlib.gzipSync(data);
+  return gzipped.readUInt32LE(gzipped.length - 8);
+}
+
+/**
+ * Entries of a zip through its central directory: {name, data, crc}.
+ */
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(buffer.readUInt32LE(offset), 0x02014b50);
+
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.strictEqual(buffer.readUInt32LE(localOffset), 0x04034b50);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    assert.strictEqual(data.length, size);
+    files.push({ name, data, crc });
+    offset += 46 + nameLength;
+  }
+
+  return files;
+}
+
+/**
+ * Entries of a tar, with PAX path records applied: {name, data, mtime}.
+ */
+function readTar(buffer) {
+  const files = [];
+  let pax = {};
+  let offset = 0;
+
+  while (buffer.readUInt8(offset) !== 0) {
+    const header = buffer.subarray(offset, offset + 512);
+    const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12), 8);
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+      sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    assert.strictEqual(parseInt(field(148, 8), 8), sum, 'header checksum');
+    assert.strictEqual(field(257, 6), 'ustar');
+
+    const data = buffer.subarray(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (field(156, 1) === 'x') {
+      for (const record of data.toString('utf8').split('\n').filter(Boolean)) {
+        const [key, value] = record.slice(record.indexOf(' ') + 1).split('=');
+        pax[key] = value;
+      }
+      continue;
+    }
+
+    files.push({ name: pax.path || field(0, 100), data, mtime: parseInt(field(136, 12), 8) });
+    pax = {};
+  }
+
+  return files;
+}
+
+test('archiveFormat follows the output name', () => {
+  assert.strictEqual(archiveFormat('out.ZIP'), 'zip');
+  assert.strictEqual(archiveFormat('out.tar'), 'tar');
+  assert.strictEqual(archiveFormat('out.tar.gz'), 'tgz');
+  assert.strictEqual(archiveFormat('out.tgz'), 'tgz');
+  assert.strictEqual(archiveFormat('out.gz'), null);
+});
+
+test('zip entries inflate to the original content with matching CRCs', async () => {
+  const outputPath = path.join(tempDir, 'out.zip');
+  await writeArchive(outputPath, entries);
+
+  const files = readZip(fs.readFileSync(outputPath));
+
+  assert.deepStrictEqual(files.map(file => file.name), Object.keys(contents));
+
+  for (const file of files) {
+    assert.deepStrictEqual(file.data, contents[file.name]);
+    assert.strictEqual(file.crc, crc32(contents[file.name]));
+  }
+
+  assert.ok(!fs.existsSync(`${outputPath}.part`));
+});
+
+test('tar entries carry content, mtime and long names', async () => {
+  const outputPath = path.join(tempDir, 'out.tar');
+  await writeArchive(outputPath, entries);
+
+  const buffer = fs.readFileSync(outputPath);
+  const files = readTar(buffer);
+
+  assert.strictEqual(buffer.length % 512, 0);
+  assert.deepStrictEqual(files.map(file => file.name), Object.keys(contents));
+
+  for (const file of files) {
+    assert.deepStrictEqual(file.data, contents[file.name]);
+    assert.strictEqual(file.mtime, Math.floor(mtime.getTime() / 1000));
+  }
+});
+
+test('tar.gz is a gzipped tar', async () => {
+  const outputPath = path.join(tempDir, 'out.tar.gz');
+  await writeArchive(outputPath, entries);
+
+  const files = readTar(zlib.gunzipSync(fs.readFileSync(outputPath)));
+  assert.deepStrictEqual(files.map(file => file.name), Object.keys(contents));
+});
+
+test('a read error fails without leaving a partial archive', async () => {
+  const outputPath = path.join(tempDir, 'broken.zip');
+  // Passes the size check, then fails when read
+  const unreadable = { name: 'dir.txt', filePath: tempDir, mtime };
+
+  await assert.rejects(writeArchive(outputPath, [entries[0], unreadable]), { code: 'EISDIR' });
+  assert.ok(!fs.existsSync(outputPath));
+  assert.ok(!fs.existsSync(`${outputPath}.part`));
+});
+
+test('other names are refused', async () => {
+  await assert.rejects(writeArchive(path.join(tempDir, 'out.rar'), entries), /Not an archive name/);
+});
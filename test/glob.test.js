@@ -0,0 +1,58 @@
+/**
+ * Tests for lib/glob.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { globToRegExp, createMatcher } = require('../scripts/lib/glob');
+
+const matches = (pattern, value) => globToRegExp(pattern).test(value);
+
+test('* and ? stay within a path segment', () => {
+  assert.ok(matches('*.pdf', 'report.pdf'));
+  assert.ok(!matches('*.pdf', 'archive/report.pdf'));
+  assert.ok(matches('report-?.pdf', 'report-1.pdf'));
+  assert.ok(!matches('report-?.pdf', 'report-10.pdf'));
+  assert.ok(!matches('a?b', 'a/b'));
+});
+
+test('** matches across segments, including none', () => {
+  assert.ok(matches('docs/**/*.md', 'docs/a.md'));
+  assert.ok(matches('docs/**/*.md', 'docs/x/y/a.md'));
+  assert.ok(!matches('docs/**/*.md', 'other/a.md'));
+  assert.ok(matches('docs/**', 'docs/x/y'));
+});
+
+test('{a,b} alternatives', () => {
+  assert.ok(matches('*.{docx,xlsx}', 'a.docx'));
+  assert.ok(matches('*.{docx,xlsx}', 'a.xlsx'));
+  assert.ok(!matches('*.{docx,xlsx}', 'a.pptx'));
+});
+
+test('regular expression characters are literal', () => {
+  assert.ok(matches('a+b (1).txt', 'a+b (1).txt'));
+  assert.ok(!matches('a.txt', 'abtxt'));
+  assert.ok(matches('[draft].txt', '[draft].txt'));
+});
+
+test('matching is case-insensitive', () => {
+  assert.ok(matches('*.PDF', 'report.pdf'));
+});
+
+test('createMatcher applies includes and excludes by name or path', () => {
+  const match = createMatcher(['*.pdf', 'keep/**'], ['drafts/*', '~*']);
+
+  assert.ok(match('a.pdf', 'a.pdf'));
+  assert.ok(match('a.pdf', 'sub/a.pdf'));
+  assert.ok(match('notes.txt', 'keep/notes.txt'));
+  assert.ok(!match('notes.txt', 'notes.txt'));
+  assert.ok(!match('a.pdf', 'drafts/a.pdf'));
+  assert.ok(!match('~a.pdf', 'keep/~a.pdf'));
+});
+
+test('createMatcher without includes accepts everything not excluded', () => {
+  const match = createMatcher([], ['*.tmp']);
+
+  assert.ok(match('a.txt', 'x/a.txt'));
+  assert.ok(!match('a.tmp', 'x/a.tmp'));
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for lib/hashes.js: QuickXorHash and content checks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { QuickXorHash, createHasher, checkContent, mayBePromoted } = require('../scripts/lib/hashes');
+const { IntegrityError } = require('../scripts/lib/errors');
+
+/**
+ * QuickXorHash written straight from the description, one byte at a time
+ * into a 160-bit integer, to check the byte-oriented implementation.
+ */
+function referenceQuickXor(data) {
+  const width = 160n;
+  const mask = (1n << width) - 1n;
+  let state = 0n;
+
+  for (let i = 0; i < data.length; i++) {
+    const shift = BigInt((i * 11) % 160);
+    const value = BigInt(data[i]) << shift;
+    state ^= (value & mask) | (value >> width);
+  }
+
+  const result = Buffer.alloc(20);
+
+  for (let i = 0; i < 20; i++) {
+    result[i] = Number((state >> BigInt(i * 8)) & 0xffn);
+  }
+
+  const length = Buffer.alloc(8);
+  length.writeBigUInt64LE(BigInt(data.length));
+
+  for (let i = 0; i < 8; i++) {
+    result[12 + i] ^= length[i];
+  }
+
+  return result.toString('base64');
+}
+
+test('QuickXorHash of known inputs', () => {
+  assert.strictEqual(new QuickXorHash().digest(), 'AAAAAAAAAAAAAAAAAAAAAAAAAAA=');
+  assert.strictEqual(new QuickXorHash().update(Buffer.from('hello')).digest(), 'aCgDG9jwBgAAAAAABQAAAAAAAAA=');
+});
+
+test('QuickXorHash matches the reference across the register wrap-around', () => {
+  const data = crypto.randomBytes(1000);
+  assert.strictEqual(new QuickXorHash().update(data).digest(), referenceQuickXor(data));
+});
+
+test('QuickXorHash does not depend on how the input is split', () => {
+  const data = crypto.randomBytes(5000);
+  const whole = new QuickXorHash().update(data).digest();
+  const hasher = new QuickXorHash();
+
+  for (const size of [1, 7, 19, 20, 21, 160, 1021]) {
+    hasher.update(data.subarray(hasher.length, hasher.length + size));
+  }
+  hasher.update(data.subarray(hasher.length));
+
+  assert.strictEqual(hasher.digest(), whole);
+});
+
+test('SHA hashes are upper-case hex, like Graph reports them', () => {
+  const data = Buffer.from('hello');
+
+  assert.strictEqual(createHasher('sha1Hash').update(data).digest(),
+    crypto.createHash('sha1').update(data).digest('hex').toUpperCase());
+  assert.strictEqual(createHasher('sha256Hash').update(data).digest(),
+    crypto.createHash('sha256').update(data).digest('hex').toUpperCase());
+});
+
+test('checkContent compares size and hash', () => {
+  const item = { name: 'a.txt', size: 5, file: { hashes: { sha1Hash: 'AAF4C61DDCC5E8A2DABEDE0F3B482CD9AEA9434D' } } };
+
+  checkContent(item, { size: 5, hash: 'aaf4c61ddcc5e8a2dabede0f3b482cd9aea9434d' });
+  assert.throws(() => checkContent(item, { size: 6 }), IntegrityError);
+  assert.throws(() => checkContent(item, { size: 5, hash: '0000' }), /Content mismatch for a\.txt \(sha1Hash\)/);
+});
+
+test('mayBePromoted recognizes Office documents only', () => {
+  assert.strictEqual(mayBePromoted('Report.DOCX'), true);
+  assert.strictEqual(mayBePromoted('budget.xlsm'), true);
+  assert.strictEqual(mayBePromoted('notes.txt'), false);
+  assert.strictEqual(mayBePromoted('old.doc'), false);
+});
@@ -0,0 +1,187 @@
+/**
+ * Tests for lib/sync.js: delta reconciliation against a fake client, and
+ * change detection
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { updateRemote, remoteTree, scanLocal, detectChanges } = require('../scripts/lib/sync');
+
+const DRIVE = 'drive1';
+const FOLDER = 'F';
+
+const folder = (id, name, parentId) => ({ id, name, folder: {}, parentReference: { id: parentId } });
+const file = (id, name, parentId, cTag = `c-${id}`) =>
+  ({ id, name, size: 1, cTag, file: { hashes: {} }, parentReference: { id: parentId } });
+
+/**
+ * Client answering delta requests from `pages` (link => response) and
+ * children listings from `children` (folder ID => items).
+ */
+function fakeClient(pages, children = {}) {
+  const requests = [];
+
+  return {
+    requests,
+    async request(method, link) {
+      requests.push(link);
+      const page = pages[link.startsWith(`/drives/${DRIVE}/root/delta`) ? 'initial' : link];
+
+      if (page instanceof Error) {
+        throw page;
+      }
+      return page;
+    },
+    async collect(url) {
+      requests.push(url);
+      const id = url.match(/items\/([^/]+)\/children/)[1];
+      return { items: children[id] || [], complete: true };
+    }
+  };
+}
+
+function paths(state) {
+  const { files, folders } = remoteTree(state, FOLDER);
+  return { files: [...files.keys()].sort(), folders: [...folders.keys()].sort() };
+}
+
+// First enumeration: children may come before their parents, and the
+// drive has items outside the synced folder
+const INITIAL = {
+  initial: {
+    value: [
+      { id: 'R', name: 'root', root: {}, folder: {} },
+      file('a', 'a.txt', 'S'),
+      folder('S', 'sub', FOLDER),
+      folder(FOLDER, 'Synced', 'R'),
+      file('o', 'other.txt', 'R')
+    ],
+    '@odata.nextLink': 'page2'
+  },
+  page2: {
+    value: [file('b', 'b.txt', FOLDER), file('c', 'c.txt', FOLDER)],
+    '@odata.deltaLink': 'delta1'
+  }
+};
+
+async function initialState() {
+  const state = { deltaLink: null, remote: {}, baseline: {} };
+  await updateRemote(fakeClient(INITIAL), DRIVE, FOLDER, state);
+  return state;
+}
+
+test('a first enumeration keeps only the folder\'s items', async () => {
+  const state = await initialState();
+
+  assert.deepStrictEqual(paths(state), { files: ['b.txt', 'c.txt', 'sub/a.txt'], folders: ['sub'] });
+  assert.strictEqual(state.deltaLink, 'delta1');
+});
+
+test('incremental changes: delete, rename, move out and move in', async () => {
+  const state = await initialState();
+
+  const client = fakeClient({
+    delta1: {
+      value: [
+        { id: 'b', deleted: {}, parentReference: { id: FOLDER } },
+        file('c', 'd.txt', FOLDER, 'c-renamed'),
+        folder('S', 'sub', 'R'),
+        folder('M', 'moved', FOLDER)
+      ],
+      '@odata.deltaLink': 'delta2'
+    }
+  }, {
+    M: [file('m', 'm.txt', 'M'), folder('I', 'inner', 'M')],
+    I: [file('deep', 'deep.txt', 'I')]
+  });
+
+  const changed = await updateRemote(client, DRIVE, FOLDER, state);
+
+  assert.strictEqual(changed, 4);
+  assert.deepStrictEqual(paths(state), {
+    files: ['d.txt', 'moved/inner/deep.txt', 'moved/m.txt'],
+    folders: ['moved', 'moved/inner']
+  });
+  assert.strictEqual(state.remote.c.cTag, 'c-renamed');
+  assert.strictEqual(state.deltaLink, 'delta2');
+  // Only the folder that moved in is listed
+  assert.deepStrictEqual(client.requests.slice(1).map(url => url.split('?')[0]),
+    [`/drives/${DRIVE}/items/M/children`, `/drives/${DRIVE}/items/I/children`]);
+});
+
+test('an expired delta link starts a new enumeration', async () => {
+  const state = await initialState();
+  state.remote.stale = { id: 'stale', name: 'gone.txt', parentId: FOLDER, folder: false };
+
+  const expired = Object.assign(new Error('Resync required'), { status: 410 });
+  const client = fakeClient({ ...INITIAL, delta1: expired });
+
+  await updateRemote(client, DRIVE, FOLDER, state);
+
+  assert.deepStrictEqual(paths(state), { files: ['b.txt', 'c.txt', 'sub/a.txt'], folders: ['sub'] });
+  assert.strictEqual(state.deltaLink, 'delta1');
+  assert.strictEqual(client.requests[0], 'delta1');
+});
+
+test('other errors are not swallowed', async () => {
+  const state = await initialState();
+  const client = fakeClient({ delta1: Object.assign(new Error('Forbidden'), { status: 403 }) });
+
+  await assert.rejects(updateRemote(client, DRIVE, FOLDER, state), /Forbidden/);
+  assert.strictEqual(state.deltaLink, 'delta1');
+});
+
+test('detectChanges compares both sides with the baseline', () => {
+  const base = { id: 'x', cTag: 'c1', size: 1, mtimeMs: 1000 };
+  const baseline = { same: base, remoteEdit: base, localEdit: base, bothEdit: base, remoteGone: base, localGone: base };
+
+  const remote = new Map([
+    ['same', { cTag: 'c1' }],
+    ['remoteEdit', { cTag: 'c2' }],
+    ['localEdit', { cTag: 'c1' }],
+    ['bothEdit', { cTag: 'c2' }],
+    ['localGone', { cTag: 'c1' }],
+    ['newRemote', { cTag: 'c9' }]
+  ]);
+
+  const local = new Map([
+    ['same', { size: 1, mtimeMs: 1000 }],
+    ['remoteEdit', { size: 1, mtimeMs: 1000 }],
+    ['localEdit', { size: 1, mtimeMs: 2000 }],
+    ['bothEdit', { size: 2, mtimeMs: 1000 }],
+    ['remoteGone', { size: 1, mtimeMs: 1000 }],
+    ['newLocal', { size: 5, mtimeMs: 1 }]
+  ]);
+
+  const changes = Object.fromEntries(detectChanges(baseline, remote, local)
+    .map(change => [change.path, [change.remoteChange, change.localChange]]));
+
+  assert.deepStrictEqual(changes, {
+    bothEdit: ['modified', 'modified'],
+    localEdit: [null, 'modified'],
+    localGone: [null, 'deleted'],
+    newLocal: [null, 'added'],
+    newRemote: ['added', null],
+    remoteEdit: ['modified', null],
+    remoteGone: ['deleted', null]
+  });
+});
+
+test('scanLocal skips download part files', (t) => {
+  const localDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sharepoint-sync-test-'));
+  t.after(() => fs.rmSync(localDir, { recursive: true, force: true }));
+
+  fs.mkdirSync(path.join(localDir, 'sub/empty'), { recursive: true });
+  fs.writeFileSync(path.join(localDir, 'sub/a.txt'), 'abc');
+  fs.writeFileSync(path.join(localDir, 'b.txt.part'), 'partial');
+
+  const { files, folders } = scanLocal(localDir);
+
+  assert.deepStrictEqual([...files.keys()], ['sub/a.txt']);
+  assert.strictEqual(files.get('sub/a.txt').size, 3);
+  assert.deepStrictEqual([...folders].sort(), ['sub', 'sub/empty']);
+  assert.strictEqual(scanLocal(path.join(localDir, 'missing')).files.size, 0);
+});
@@ -0,0 +1,321 @@
+/**
+ * Tests for lib/transfers.js: upload sessions and resumed downloads
+ * against fake clients that act like Graph
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Transfer state goes under $HOME, which is read when the module loads
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sharepoint-transfers-test-'));
+process.env.HOME = tempDir;
+
+const { SMALL_FILE_LIMIT, uploadFile, downloadFile, forEachParallel } = require('../scripts/lib/transfers');
+const { QuickXorHash } = require('../scripts/lib/hashes');
+const { GraphError, IntegrityError } = require('../scripts/lib/errors');
+
+const UPLOAD_URL = 'https://upload.example/session1';
+const CHUNK_UNIT = 320 * 1024;
+const quiet = () => {};
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+function writeTempFile(name, data) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, data);
+  return filePath;
+}
+
+function patterned(size) {
+  return Buffer.from(Array.from({ length: size }, (_, i) => (i * 31 + (i >> 8)) % 256));
+}
+
+function driveItem(name, data, extra = {}) {
+  return {
+    id: `id-${name}`,
+    name,
+    size: data.length,
+    cTag: 'ctag1',
+    file: { hashes: { quickXorHash: new QuickXorHash().update(data).digest() } },
+    ...extra
+  };
+}
+
+function response(statusCode, body) {
+  const res = Readable.from(body === undefined ? [] : [Buffer.from(JSON.stringify(body))]);
+  res.statusCode = statusCode;
+  res.headers = {};
+  return res;
+}
+
+/**
+ * Client with an upload session that stores what it receives and answers
+ * like Graph: 202 with the next expected range, 201 with the item at the
+ * end. `failChunk(n)` may return a status code to answer chunk n with.
+ */
+function uploadClient(name, size, { failChunk = () => null, received = Buffer.alloc(size) } = {}) {
+  const session = { received, next: 0, chunks: [] };
+
+  const client = {
+    session,
+    async request(method, url) {
+      if (method === 'POST' && url.endsWith(':/createUploadSession')) {
+        return { uploadUrl: UPLOAD_URL, expirationDateTime: new Date(Date.now() + 3600000).toISOString() };
+      }
+      if (method === 'GET' && url === UPLOAD_URL) {
+        return { nextExpectedRanges: [`${session.next}-`] };
+      }
+      throw new Error(`Unexpected request: ${method} ${url}`);
+    },
+    async send(method, url, { body, headers }) {
+      assert.strictEqual(url, UPLOAD_URL);
+
+      const [, start, end, total] = headers['Content-Range'].match(/^bytes (\d+)-(\d+)\/(\d+)$/).map(Number);
+      session.chunks.push({ start, end, total, length: body.length });
+
+      const status = failChunk(session.chunks.length);
+      if (status) {
+        return response(status, { error: { message: 'Chunk refused' } });
+      }
+
+      assert.strictEqual(start, session.next);
+      body.copy(session.received, start);
+      session.next = end + 1;
+
+      return session.next === size
+        ? response(201, driveItem(name, session.received))
+        : response(202, { nextExpectedRanges: [`${session.next}-`] });
+    }
+  };
+
+  return client;
+}
+
+function stateFiles(dir) {
+  const statePath = path.join(tempDir, '.config/bobby', dir);
+  return fs.existsSync(statePath) ? fs.readdirSync(statePath) : [];
+}
+
+test('small files are uploaded in one request and verified', async () => {
+  const data = Buffer.from('hello');
+  const localFile = writeTempFile('small.txt', data);
+  const requests = [];
+
+  const client = {
+    async request(method, url, { body }) {
+      requests.push(`${method} ${url}`);
+      assert.deepStrictEqual(body, data);
+      return driveItem('small.txt', data);
+    }
+  };
+
+  const result = await uploadFile(client, 'drive1', 'Docs/small.txt', localFile, { log: quiet });
+
+  assert.deepStrictEqual(requests, ['PUT /drives/drive1/root:/Docs%2Fsmall.txt:/content?@microsoft.graph.conflictBehavior=replace']);
+  assert.strictEqual(result.verified.type, 'quickXorHash');
+  assert.strictEqual(result.promoted, false);
+});
+
+test('a changed upload fails, also for Office documents unless promotion is allowed', async () => {
+  const data = Buffer.from('local content');
+  const changed = Buffer.from('content with library columns');
+  const client = { request: async (method, url) => driveItem(path.basename(url.split(':')[1]), changed) };
+  const warnings = [];
+
+  await assert.rejects(
+    uploadFile(client, 'drive1', 'notes.txt', writeTempFile('notes.txt', data), { log: quiet }),
+    err => err instanceof IntegrityError && /Uploaded file doesn't match/.test(err.message));
+
+  const localFile = writeTempFile('report.docx', data);
+
+  await assert.rejects(
+    uploadFile(client, 'drive1', 'report.docx', localFile, { log: quiet }),
+    err => err instanceof IntegrityError && /--allow-promotion/.test(err.hint));
+
+  const result = await uploadFile(client, 'drive1', 'report.docx', localFile,
+    { allowPromotion: true, log: message => warnings.push(message) });
+
+  assert.strictEqual(result.promoted, true);
+  assert.strictEqual(result.verified, null);
+  assert.match(warnings[0], /Warning: Size mismatch for report\.docx/);
+});
+
+test('large files go through an upload session in 320 KiB multiples', async () => {
+  const data = patterned(SMALL_FILE_LIMIT * 3 + 12345);
+  const localFile = writeTempFile('large.bin', data);
+  const client = uploadClient('large.bin', data.length);
+
+  const result = await uploadFile(client, 'drive1', 'large.bin', localFile, { log: quiet });
+
+  assert.deepStrictEqual(client.session.received, data);
+  assert.ok(client.session.chunks.length > 1);
+
+  for (const chunk of client.session.chunks.slice(0, -1)) {
+    assert.strictEqual(chunk.length % CHUNK_UNIT, 0);
+  }
+
+  assert.strictEqual(client.session.chunks.at(-1).end, data.length - 1);
+  assert.strictEqual(result.verified.type, 'quickXorHash');
+  assert.deepStrictEqual(stateFiles('sharepoint-uploads'), []);
+});
+
+test('an interrupted upload session is resumed by the next run', async () => {
+  const data = patterned(SMALL_FILE_LIMIT * 3 + 999);
+  const localFile = writeTempFile('resume.bin', data);
+
+  const first = uploadClient('resume.bin', data.length, { failChunk: n => (n === 2 ? 400 : null) });
+
+  await assert.rejects(uploadFile(first, 'drive1', 'resume.bin', localFile, { log: quiet }), GraphError);
+  assert.strictEqual(stateFiles('sharepoint-uploads').length, 1);
+
+  // Same session, as kept by the server
+  const second = uploadClient('resume.bin', data.length, { received: first.session.received });
+  second.session.next = first.session.next;
+
+  const logs = [];
+  await uploadFile(second, 'drive1', 'resume.bin', localFile, { log: message => logs.push(message) });
+
+  assert.match(logs[0], /Resuming interrupted upload/);
+  assert.strictEqual(second.session.chunks[0].start, first.session.next);
+  assert.deepStrictEqual(second.session.received, data);
+  assert.deepStrictEqual(stateFiles('sharepoint-uploads'), []);
+});
+
+/**
+ * Client serving `content` through client.stream, honouring Range. Each
+ * call takes the next behaviour from `script`: 'ok', 'ignore-range',
+ * 'drop' (the connection breaks after `dropAfter` bytes) or a GraphError.
+ */
+function downloadClient(content, script, dropAfter = 1000) {
+  const ranges = [];
+
+  return {
+    ranges,
+    async stream(method, apiPath, { headers } = {}) {
+      const range = headers?.Range;
+      const behaviour = script.shift() || 'ok';
+      ranges.push(range || null);
+
+      if (behaviour instanceof Error) {
+        throw behaviour;
+      }
+
+      const offset = range && behaviour !== 'ignore-range' ? Number(range.match(/^bytes=(\d+)-$/)[1]) : 0;
+      const rest = content.subarray(offset);
+
+      if (behaviour === 'drop') {
+        const res = new Readable({ read() {} });
+        res.statusCode = offset > 0 ? 206 : 200;
+        res.push(rest.subarray(0, dropAfter));
+        // Let the received bytes reach the part file first
+        setTimeout(() => res.destroy(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), 50);
+        return res;
+      }
+
+      const res = Readable.from([rest]);
+      res.statusCode = offset > 0 ? 206 : 200;
+      return res;
+    }
+  };
+}
+
+test('a dropped download is resumed with a Range request', async () => {
+  const content = patterned(50000);
+  const item = driveItem('dropped.bin', content);
+  const outputPath = path.join(tempDir, 'dropped.bin');
+  const client = downloadClient(content, ['drop']);
+
+  const verified = await downloadFile(client, 'drive1', item, outputPath, { log: quiet });
+
+  assert.deepStrictEqual(client.ranges, [null, 'bytes=1000-']);
+  assert.deepStrictEqual(fs.readFileSync(outputPath), content);
+  assert.strictEqual(verified.type, 'quickXorHash');
+  assert.ok(!fs.existsSync(`${outputPath}.part`));
+  assert.deepStrictEqual(stateFiles('sharepoint-downloads'), []);
+});
+
+test('an interrupted download is resumed by the next run, unless the file changed', async () => {
+  const content = patterned(40000);
+  const item = driveItem('later.bin', content);
+  const outputPath = path.join(tempDir, 'later.bin');
+  const denied = new GraphError('Unauthorized', { status: 401 });
+
+  await assert.rejects(
+    downloadFile(downloadClient(content, ['drop', denied]), 'drive1', item, outputPath, { log: quiet }),
+    /Download failed/);
+  assert.strictEqual(fs.statSync(`${outputPath}.part`).size, 1000);
+
+  const logs = [];
+  const client = downloadClient(content, ['ok']);
+  await downloadFile(client, 'drive1', item, outputPath, { log: message => logs.push(message) });
+
+  assert.deepStrictEqual(client.ranges, ['bytes=1000-']);
+  assert.match(logs[0], /Resuming download at 1000 bytes/);
+  assert.deepStrictEqual(fs.readFileSync(outputPath), content);
+
+  // Bytes of an older version (other cTag) are not resumed
+  await assert.rejects(
+    downloadFile(downloadClient(content, ['drop', denied]), 'drive1', item, outputPath, { log: quiet }),
+    /Download failed/);
+
+  const edited = patterned(45000).reverse();
+  const changed = downloadClient(edited, ['ok']);
+  await downloadFile(changed, 'drive1', driveItem('later.bin', edited, { cTag: 'ctag2' }), outputPath, { log: quiet });
+
+  assert.deepStrictEqual(changed.ranges, [null]);
+  assert.deepStrictEqual(fs.readFileSync(outputPath), edited);
+});
+
+test('a server that ignores the Range header gets the whole file again', async () => {
+  const content = patterned(30000);
+  const item = driveItem('norange.bin', content);
+  const outputPath = path.join(tempDir, 'norange.bin');
+  const logs = [];
+  const client = downloadClient(content, ['drop', 'ignore-range']);
+
+  await downloadFile(client, 'drive1', item, outputPath, { log: message => logs.push(message) });
+
+  assert.deepStrictEqual(client.ranges, [null, 'bytes=1000-']);
+  assert.ok(logs.some(message => /can't resume this download, starting over/.test(message)));
+  assert.deepStrictEqual(fs.readFileSync(outputPath), content);
+});
+
+test('corrupt content is deleted, not kept for resuming', async () => {
+  const content = patterned(2000);
+  const item = driveItem('corrupt.bin', content, { file: { hashes: { quickXorHash: 'AAAAAAAAAAAAAAAAAAAAAAAAAAA=' } } });
+  const outputPath = path.join(tempDir, 'corrupt.bin');
+
+  await assert.rejects(
+    downloadFile(downloadClient(content, []), 'drive1', item, outputPath, { log: quiet }),
+    err => err instanceof IntegrityError && /Downloaded file is corrupt/.test(err.message));
+
+  assert.ok(!fs.existsSync(outputPath));
+  assert.ok(!fs.existsSync(`${outputPath}.part`));
+});
+
+test('forEachParallel runs every item, at most `concurrency` at a time', async () => {
+  const done = [];
+  let running = 0;
+  let maxRunning = 0;
+
+  await forEachParallel([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise(resolve => setTimeout(resolve, item % 3));
+    running--;
+    done.push(item);
+  });
+
+  assert.deepStrictEqual(done.sort(), [1, 2, 3, 4, 5, 6, 7]);
+  assert.strictEqual(maxRunning, 3);
+
+  // More workers than items, and no items at all
+  const few = [];
+  await forEachParallel(['a'], 4, async (item) => { few.push(item); });
+  await forEachParallel([], 4, async () => { throw new Error('not called'); });
+  assert.deepStrictEqual(few, ['a']);
+});